@@ -5,6 +5,12 @@ class CLIClient {
     constructor() {
         this.socket = null;
         this.connected = false;
+        this.hasConnected = false;
+        // Local copy of the orders, kept current by a synced subscription
+        this.orders = new Map();
+        this.syncSubscriptionId = null;
+        // With a durable client id the server keeps unacknowledged events for us
+        this.clientId = process.env.REALTIME_CLIENT_ID || null;
         this.rl = readline.createInterface({
             input: process.stdin,
             output: process.stdout
@@ -18,13 +24,28 @@ class CLIClient {
         console.log('🔄 Connecting to real-time order system...');
         
         this.socket = io('http://localhost:3001', {
-            transports: ['websocket', 'polling']
+            transports: ['websocket', 'polling'],
+            auth: {
+                token: process.env.REALTIME_TOKEN,
+                apiKey: process.env.REALTIME_API_KEY,
+                clientId: this.clientId || undefined,
+                delivery: this.clientId ? 'ack' : undefined
+            }
         });
 
         this.socket.on('connect', () => {
             this.connected = true;
+
+            if (this.hasConnected) {
+                console.log('✅ Reconnected to server!');
+                this.restoreSync();
+                return;
+            }
+
+            this.hasConnected = true;
             console.log('✅ Connected to server!');
             console.log('📡 Listening for real-time database updates...\n');
+            this.syncOrders();
             this.showMenu();
         });
 
@@ -34,27 +55,79 @@ class CLIClient {
         });
 
         this.socket.on('connect_error', (error) => {
+            // Keep retrying once we have been connected, the server may just be restarting
+            if (this.hasConnected) return;
+
             console.log('❌ Connection error:', error.message);
             console.log('Make sure the server is running on http://localhost:3001');
             process.exit(1);
         });
 
         this.socket.on('welcome', (data) => {
-            console.log(`👋 Welcome! Client ID: ${data.clientId}`);
+            console.log(`👋 Welcome! Client ID: ${data.clientId} (role: ${data.role})`);
             console.log(`👥 Total connected clients: ${data.totalClients}\n`);
+            if (data.delivery === 'ack') {
+                console.log(`📬 Acknowledged delivery as ${this.clientId}, ${data.pendingDeliveries} events pending\n`);
+            }
+            if (data.banner) {
+                console.log(`📢 ${data.banner.message}\n`);
+            }
+        });
+
+        // Maintenance notices from an administrator
+        this.socket.on('maintenance_banner', (data) => {
+            console.log(data.banner ? `\n📢 ${data.banner.message}` : '\n📢 Maintenance banner cleared');
+        });
+
+        this.socket.on('broadcasts_paused', (data) => {
+            console.log(`\n⏸️  Live updates paused${data.reason ? `: ${data.reason}` : ''}`);
+        });
+
+        this.socket.on('broadcasts_resumed', () => {
+            console.log('\n▶️  Live updates resumed');
+        });
+
+        this.socket.on('disconnected_by_admin', (data) => {
+            console.log(`\n🚫 Disconnected by an administrator${data.reason ? `: ${data.reason}` : ''}`);
         });
 
-        // Database change listeners
-        this.socket.on('orders:insert', (data) => {
+        // Domain events from the outbox
+        const domainEvents = ['created', 'confirmed', 'shipped', 'delivered', 'cancelled', 'returned', 'refunded', 'deleted'];
+        domainEvents.forEach(name => {
+            this.socket.on(`order.${name}`, (data) => {
+                const from = data.previousStatus ? ` (was ${data.previousStatus})` : '';
+                const reason = data.reason ? `: ${data.reason}` : '';
+                console.log(`\n📣 ${data.event}: order #${data.rowId}${from}${reason}`);
+            });
+        });
+
+        // Changes after the synced snapshot, acknowledged once applied and displayed
+        const handled = ['subscription:insert', 'subscription:update', 'subscription:delete'];
+
+        this.socket.on('subscription:insert', (data, ack) => {
             this.handleDatabaseChange('🆕 INSERT', data, '💚');
+            if (ack) ack();
         });
 
-        this.socket.on('orders:update', (data) => {
+        this.socket.on('subscription:update', (data, ack) => {
             this.handleDatabaseChange('📝 UPDATE', data, '💛');
+            if (ack) ack();
         });
 
-        this.socket.on('orders:delete', (data) => {
+        this.socket.on('subscription:delete', (data, ack) => {
             this.handleDatabaseChange('🗑️  DELETE', data, '💔');
+            if (ack) ack();
+        });
+
+        // Events this client doesn't display are acknowledged right away
+        this.socket.onAny((event, ...args) => {
+            const ack = args[args.length - 1];
+            if (!handled.includes(event) && typeof ack === 'function') ack();
+        });
+
+        this.socket.on('resync_required', () => {
+            console.log('\n⚠️  The server missed some database changes, reloading the order list');
+            this.syncOrders();
         });
 
         this.socket.on('server_shutdown', (data) => {
@@ -64,8 +137,17 @@ class CLIClient {
     }
 
     handleDatabaseChange(operation, data, emoji) {
+        if (data.subscriptionId !== this.syncSubscriptionId) return;
+
+        const receivedAt = Date.now();
         const timestamp = new Date().toLocaleTimeString();
         const order = data.data;
+
+        if (data.operation === 'delete') {
+            this.orders.delete(order.id);
+        } else {
+            this.orders.set(order.id, order);
+        }
         
         console.log(`\n${emoji} [${timestamp}] ${operation}`);
         console.log('┌─────────────────────────────────────');
@@ -74,7 +156,17 @@ class CLIClient {
         console.log(`│ Product: ${order.product_name}`);
         console.log(`│ Status: ${order.status.toUpperCase()}`);
         console.log(`│ Updated: ${new Date(order.updated_at).toLocaleString()}`);
+        // The order's history entry written with the change
+        if (data.history && data.history.event_type === 'status_changed') {
+            const reason = data.history.reason ? ` (${data.history.reason})` : '';
+            console.log(`│ History: ${data.history.from_status} → ${data.history.to_status}${reason}`);
+        }
         console.log('└─────────────────────────────────────');
+
+        // Tell the server the change is on screen, for its latency statistics
+        if (data.trace && !data.replayed) {
+            this.socket.emit('latency:ack', { trace: data.trace, renderMs: Date.now() - receivedAt });
+        }
         
         // Show prompt again
         if (this.connected) {
@@ -82,6 +174,48 @@ class CLIClient {
         }
     }
 
+    // Load the orders and subscribe to every later change in one step, so the
+    // local list can't miss or double-apply a change made in between
+    syncOrders() {
+        if (this.syncSubscriptionId) {
+            this.socket.emit('unsubscribe', { subscriptionId: this.syncSubscriptionId });
+            this.syncSubscriptionId = null;
+        }
+
+        this.socket.emit('subscribe', { firehose: false });
+
+        this.socket.emit('sync', { table: 'orders' }, (result) => {
+            if (!result.success) {
+                console.log('❌ Failed to load orders:', result.error);
+                this.rl.prompt();
+                return;
+            }
+
+            this.syncSubscriptionId = result.subscriptionId;
+            this.orders = new Map(result.rows.map(order => [order.id, order]));
+
+            console.log(`\n🔄 Loaded ${this.orders.size} orders${result.truncated ? ' (truncated)' : ''}`);
+            this.rl.prompt();
+        });
+    }
+
+    // After a reconnect, an acknowledged-delivery client still has its subscription
+    // on the server and gets the missed changes resent. Everyone else syncs again.
+    restoreSync() {
+        if (!this.clientId || !this.syncSubscriptionId) {
+            this.syncOrders();
+            return;
+        }
+
+        this.socket.emit('subscriptions:list', (result) => {
+            const kept = result.success && result.subscriptions.some(subscription => subscription.id === this.syncSubscriptionId);
+            if (!kept) {
+                this.syncSubscriptionId = null;
+                this.syncOrders();
+            }
+        });
+    }
+
     setupEventHandlers() {
         this.rl.on('line', (input) => {
             const command = input.trim().toLowerCase();
@@ -111,7 +245,7 @@ class CLIClient {
                 break;
             case 'orders':
             case 'o':
-                this.fetchOrders();
+                this.showOrders();
                 break;
             case 'create':
             case 'c':
@@ -166,7 +300,7 @@ class CLIClient {
         console.log('──────────────────────────────');
         console.log('help, h      Show this help message');
         console.log('status, s    Show connection status');
-        console.log('orders, o    Fetch and display all orders');
+        console.log('orders, o    Display all orders (kept in sync live)');
         console.log('create, c    Create a new order interactively');
         console.log('random, r    Create a random order for testing');
         console.log('clear        Clear the screen');
@@ -195,42 +329,35 @@ class CLIClient {
         this.rl.prompt();
     }
 
-    async fetchOrders() {
-        try {
-            console.log('📡 Fetching orders...');
-            
-            const response = await fetch('http://localhost:3001/api/orders');
-            const result = await response.json();
-            
-            if (result.success) {
-                console.log(`\n📦 Orders (${result.data.length} total):`);
-                console.log('════════════════════════════════════════');
-                
-                if (result.data.length === 0) {
-                    console.log('No orders found.');
-                } else {
-                    result.data.forEach((order, index) => {
-                        const status = order.status.toUpperCase();
-                        const statusEmoji = {
-                            'PENDING': '⏳',
-                            'SHIPPED': '🚚',
-                            'DELIVERED': '✅'
-                        }[status] || '❓';
-                        
-                        console.log(`${index + 1}. ${statusEmoji} Order #${order.id}`);
-                        console.log(`   👤 ${order.customer_name}`);
-                        console.log(`   📦 ${order.product_name}`);
-                        console.log(`   📅 ${new Date(order.updated_at).toLocaleString()}`);
-                        console.log('');
-                    });
-                }
-            } else {
-                console.log('❌ Failed to fetch orders:', result.error);
-            }
-        } catch (error) {
-            console.log('❌ Error fetching orders:', error.message);
+    showOrders() {
+        const orders = Array.from(this.orders.values()).sort((a, b) => b.id - a.id);
+
+        console.log(`\n📦 Orders (${orders.length} total):`);
+        console.log('════════════════════════════════════════');
+
+        if (orders.length === 0) {
+            console.log('No orders found.');
+        } else {
+            orders.forEach((order, index) => {
+                const status = order.status.toUpperCase();
+                const statusEmoji = {
+                    'PENDING': '⏳',
+                    'CONFIRMED': '👍',
+                    'SHIPPED': '🚚',
+                    'DELIVERED': '✅',
+                    'CANCELLED': '🚫',
+                    'RETURNED': '↩️',
+                    'REFUNDED': '💸'
+                }[status] || '❓';
+
+                console.log(`${index + 1}. ${statusEmoji} Order #${order.id}`);
+                console.log(`   👤 ${order.customer_name}`);
+                console.log(`   📦 ${order.product_name}`);
+                console.log(`   📅 ${new Date(order.updated_at).toLocaleString()}`);
+                console.log('');
+            });
         }
-        
+
         console.log('');
         this.rl.prompt();
     }
@@ -252,20 +379,10 @@ class CLIClient {
                     return;
                 }
                 
-                this.rl.question('📋 Status (pending/shipped/delivered) [pending]: ', (status) => {
-                    const orderStatus = status.trim().toLowerCase() || 'pending';
-                    
-                    if (!['pending', 'shipped', 'delivered'].includes(orderStatus)) {
-                        console.log('❌ Invalid status. Must be: pending, shipped, or delivered');
-                        this.rl.prompt();
-                        return;
-                    }
-                    
-                    this.createOrder({
-                        customer_name: customerName.trim(),
-                        product_name: productName.trim(),
-                        status: orderStatus
-                    });
+                // New orders start as pending and move on through the lifecycle
+                this.createOrder({
+                    customer_name: customerName.trim(),
+                    product_name: productName.trim()
                 });
             });
         });
@@ -274,12 +391,10 @@ class CLIClient {
     createRandomOrder() {
         const customers = ['John Doe', 'Jane Smith', 'Bob Johnson', 'Alice Brown', 'Charlie Wilson'];
         const products = ['Laptop Pro', 'Wireless Mouse', 'Keyboard', 'Monitor', 'Tablet'];
-        const statuses = ['pending', 'shipped', 'delivered'];
         
         const order = {
             customer_name: customers[Math.floor(Math.random() * customers.length)],
-            product_name: products[Math.floor(Math.random() * products.length)],
-            status: statuses[Math.floor(Math.random() * statuses.length)]
+            product_name: products[Math.floor(Math.random() * products.length)]
         };
         
         console.log('🎲 Creating random order...');
@@ -1,4 +1,30 @@
 const io = require('socket.io-client');
+require('dotenv').config();
+const { signToken, isAuthEnabled, getAnonymousRole } = require('../src/services/auth');
+const AccessControl = require('../src/services/accessControl');
+
+// Socket credentials for the test, which needs a role that sees every order:
+// REALTIME_TOKEN or REALTIME_API_KEY, else an admin token signed with AUTH_SECRET
+// (from .env, like the server), else the anonymous role if that one is enough.
+function testCredentials() {
+    if (process.env.REALTIME_TOKEN || process.env.REALTIME_API_KEY) {
+        return { token: process.env.REALTIME_TOKEN, apiKey: process.env.REALTIME_API_KEY };
+    }
+
+    if (process.env.AUTH_SECRET) {
+        return { token: signToken({ sub: 'test-client', role: 'admin' }) };
+    }
+
+    const rule = new AccessControl().getRule({ role: getAnonymousRole() }, 'orders');
+    if (!isAuthEnabled() && rule && !rule.scope) {
+        return {};
+    }
+
+    throw new Error(
+        'The test needs to see every order. Set REALTIME_TOKEN or REALTIME_API_KEY for an admin or ' +
+        'warehouse identity, AUTH_SECRET to sign one, or AUTH_ANONYMOUS_ROLE=admin on a server without authentication'
+    );
+}
 
 class TestClient {
     constructor() {
@@ -31,10 +57,19 @@ class TestClient {
 
     async testConnection() {
         console.log('\n🔗 Testing WebSocket Connection...');
+
+        let credentials;
+        try {
+            credentials = testCredentials();
+        } catch (err) {
+            console.error(`❌ ${err.message}`);
+            process.exit(1);
+        }
         
         return new Promise((resolve, reject) => {
             this.socket = io('http://localhost:3001', {
-                transports: ['websocket', 'polling']
+                transports: ['websocket', 'polling'],
+                auth: credentials
             });
 
             const timeout = setTimeout(() => {
@@ -149,7 +184,8 @@ class TestClient {
     async testUpdateOrder(orderId) {
         console.log(`  📝 Testing UPDATE order #${orderId}...`);
         
-        const updateData = { status: 'shipped' };
+        // New orders are pending, the first step of their lifecycle is confirmation
+        const updateData = { status: 'confirmed' };
 
         const response = await fetch(`http://localhost:3001/api/orders/${orderId}`, {
             method: 'PUT',
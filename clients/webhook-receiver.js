@@ -0,0 +1,91 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// Local webhook receiver for trying out webhook deliveries. It verifies every
+// signature and prints the event; set WEBHOOK_FAIL_RATE (0-1) to answer with 500
+// now and then and watch the retries and dead letters.
+//
+//   WEBHOOK_SECRET=<secret from POST /api/webhooks> node clients/webhook-receiver.js
+class WebhookReceiver {
+    constructor() {
+        this.port = parseInt(process.env.WEBHOOK_RECEIVER_PORT) || 4000;
+        this.secret = process.env.WEBHOOK_SECRET;
+        this.failRate = parseFloat(process.env.WEBHOOK_FAIL_RATE) || 0;
+        // Deliveries older than this are rejected as replays
+        this.tolerance = 5 * 60;
+        this.received = 0;
+
+        if (!this.secret) {
+            console.log('❌ Set WEBHOOK_SECRET to the secret returned when the webhook was registered');
+            process.exit(1);
+        }
+    }
+
+    start() {
+        const server = http.createServer((req, res) => this.handleRequest(req, res));
+
+        server.listen(this.port, () => {
+            console.log(`🪝 Webhook receiver listening on http://localhost:${this.port}`);
+            console.log(`   Register it with: {"url": "http://localhost:${this.port}/webhook", "events": ["orders:*"]}\n`);
+        });
+    }
+
+    handleRequest(req, res) {
+        if (req.method !== 'POST') {
+            res.writeHead(405).end();
+            return;
+        }
+
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks).toString();
+
+            if (!this.verify(req.headers, body)) {
+                console.log('🚫 Rejected a delivery with an invalid or expired signature');
+                res.writeHead(401).end();
+                return;
+            }
+
+            if (Math.random() < this.failRate) {
+                console.log(`💥 Failing delivery ${req.headers['x-webhook-delivery']} (attempt ${req.headers['x-webhook-attempt']}) on purpose`);
+                res.writeHead(500).end();
+                return;
+            }
+
+            this.print(req.headers, JSON.parse(body));
+            res.writeHead(204).end();
+        });
+    }
+
+    // Recompute the signature over the raw body, in constant time
+    verify(headers, body) {
+        const timestamp = parseInt(headers['x-webhook-timestamp']);
+        const signature = headers['x-webhook-signature'] || '';
+
+        if (isNaN(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > this.tolerance) {
+            return false;
+        }
+
+        const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', this.secret).update(`${timestamp}.${body}`).digest('hex')}`);
+        const actual = Buffer.from(signature);
+
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    print(headers, event) {
+        this.received++;
+        const time = new Date().toLocaleTimeString();
+
+        console.log(`\n📨 [${time}] ${event.event} (delivery ${event.id}, attempt ${headers['x-webhook-attempt']})`);
+        if (event.data) {
+            console.log(`   ${event.table} #${event.data.id}:`, JSON.stringify(event.data));
+        }
+        if (event.changedFields) {
+            console.log('   Changed:', event.changedFields.join(', '));
+        }
+        console.log(`   Total received: ${this.received}`);
+    }
+}
+
+new WebhookReceiver().start();
\ No newline at end of file
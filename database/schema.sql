@@ -3,7 +3,7 @@ CREATE TABLE IF NOT EXISTS orders (
     id SERIAL PRIMARY KEY,
     customer_name VARCHAR(255) NOT NULL,
     product_name VARCHAR(255) NOT NULL,
-    status VARCHAR(50) DEFAULT 'pending' CHECK (status IN ('pending', 'shipped', 'delivered')),
+    status VARCHAR(50) DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'shipped', 'delivered', 'cancelled', 'returned', 'refunded')),
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -23,31 +23,319 @@ CREATE TRIGGER update_orders_updated_at
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
--- Function to notify about table changes
-CREATE OR REPLACE FUNCTION notify_orders_change()
+-- Order lifecycle (see src/config/orderLifecycle.js). Databases created before
+-- the confirmed, cancelled, returned and refunded statuses get the wider check.
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check
+    CHECK (status IN ('pending', 'confirmed', 'shipped', 'delivered', 'cancelled', 'returned', 'refunded'));
+
+-- Status changes an order may make. The server replaces these rows with the
+-- transitions of src/config/orderLifecycle.js when it starts.
+CREATE TABLE IF NOT EXISTS order_status_transitions (
+    from_status VARCHAR(50) NOT NULL,
+    to_status VARCHAR(50) NOT NULL,
+    PRIMARY KEY (from_status, to_status)
+);
+
+INSERT INTO order_status_transitions (from_status, to_status) VALUES
+    ('pending', 'confirmed'),
+    ('pending', 'cancelled'),
+    ('confirmed', 'shipped'),
+    ('confirmed', 'cancelled'),
+    ('shipped', 'delivered'),
+    ('delivered', 'returned'),
+    ('returned', 'refunded')
+ON CONFLICT DO NOTHING;
+
+-- Refuse status changes that aren't in order_status_transitions, whoever makes
+-- them. Inserts aren't checked, so existing orders can be imported in any status.
+CREATE OR REPLACE FUNCTION enforce_order_status_transition()
 RETURNS TRIGGER AS $$
 DECLARE
+    allowed TEXT;
+BEGIN
+    IF NEW.status IS NOT DISTINCT FROM OLD.status THEN
+        RETURN NEW;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM order_status_transitions
+        WHERE from_status = OLD.status AND to_status = NEW.status
+    ) THEN
+        SELECT string_agg(to_status, ', ' ORDER BY to_status) INTO allowed
+        FROM order_status_transitions WHERE from_status = OLD.status;
+
+        RAISE EXCEPTION 'Order #% can''t move from % to %', OLD.id, OLD.status, NEW.status
+            USING ERRCODE = 'check_violation',
+                  TABLE = TG_TABLE_NAME,
+                  DETAIL = 'Allowed next statuses: ' || COALESCE(allowed, 'none');
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS orders_status_transition_trigger ON orders;
+CREATE TRIGGER orders_status_transition_trigger
+    BEFORE UPDATE OF status ON orders
+    FOR EACH ROW
+    EXECUTE FUNCTION enforce_order_status_transition();
+
+-- History of every order: one row per creation, change and deletion, written by
+-- the trigger below. updated_at only tells the last write, this tells when each
+-- status was reached. There is no foreign key, the history outlives the order.
+CREATE TABLE IF NOT EXISTS order_events (
+    id BIGSERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL,
+    event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('created', 'status_changed', 'updated', 'deleted')),
+    from_status VARCHAR(50),
+    to_status VARCHAR(50),
+    changes JSONB,
+    reason TEXT,
+    request_id TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_events_order ON order_events(order_id, id);
+
+-- Record a change of an order in order_events. `changes` holds every changed field
+-- as {"from": ..., "to": ...}. With the argument 'status' updates that don't change
+-- the status aren't recorded. The reason and request id are taken from
+-- set_config('realtime.reason', ...) and set_config('realtime.request_id', ...).
+CREATE OR REPLACE FUNCTION record_order_event()
+RETURNS TRIGGER AS $$
+DECLARE
+    changed_fields JSONB;
+    entry_type TEXT;
+    reason TEXT;
+    request_id TEXT;
+BEGIN
+    reason = NULLIF(current_setting('realtime.reason', true), '');
+    request_id = NULLIF(current_setting('realtime.request_id', true), '');
+
+    IF TG_OP = 'INSERT' THEN
+        INSERT INTO order_events (order_id, event_type, to_status, reason, request_id)
+        VALUES (NEW.id, 'created', NEW.status, reason, request_id);
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'DELETE' THEN
+        INSERT INTO order_events (order_id, event_type, from_status, reason, request_id)
+        VALUES (OLD.id, 'deleted', OLD.status, reason, request_id);
+        RETURN OLD;
+    END IF;
+
+    -- updated_at changes on every write and isn't history
+    SELECT jsonb_object_agg(new_row.key, jsonb_build_object('from', old_row.value, 'to', new_row.value))
+    INTO changed_fields
+    FROM jsonb_each(to_jsonb(NEW)) new_row
+    JOIN jsonb_each(to_jsonb(OLD)) old_row ON old_row.key = new_row.key
+    WHERE new_row.value IS DISTINCT FROM old_row.value AND new_row.key <> 'updated_at';
+
+    IF changed_fields IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    IF NEW.status IS DISTINCT FROM OLD.status THEN
+        entry_type = 'status_changed';
+    ELSIF TG_ARGV[0] = 'status' THEN
+        RETURN NEW;
+    ELSE
+        entry_type = 'updated';
+    END IF;
+
+    INSERT INTO order_events (order_id, event_type, from_status, to_status, changes, reason, request_id)
+    VALUES (NEW.id, entry_type, OLD.status, NEW.status, changed_fields, reason, request_id);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Use record_order_event('status') to keep only status changes
+DROP TRIGGER IF EXISTS orders_history_trigger ON orders;
+CREATE TRIGGER orders_history_trigger
+    AFTER INSERT OR UPDATE OR DELETE ON orders
+    FOR EACH ROW
+    EXECUTE FUNCTION record_order_event();
+
+-- Change log: every change gets a monotonically increasing sequence number so
+-- clients that drop for a while can resume from the last event they saw
+CREATE TABLE IF NOT EXISTS change_log (
+    seq BIGSERIAL PRIMARY KEY,
+    table_name VARCHAR(63) NOT NULL,
+    operation VARCHAR(10) NOT NULL,
+    row_id TEXT,
+    data JSONB NOT NULL,
+    old_data JSONB,
+    txid BIGINT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Id of the API or socket request that made the change, set by the server with
+-- set_config('realtime.request_id', ...) so clients can recognise their own changes
+ALTER TABLE change_log ADD COLUMN IF NOT EXISTS request_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_change_log_created_at ON change_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_change_log_txid ON change_log(txid);
+
+-- Outbox of domain events (order.created, order.shipped, ...), written in the
+-- same transaction as the change they describe and relayed to clients by the
+-- leader node in id order (see src/services/outbox.js)
+CREATE TABLE IF NOT EXISTS outbox (
+    id BIGSERIAL PRIMARY KEY,
+    event_type VARCHAR(100) NOT NULL,
+    table_name VARCHAR(63),
+    row_id TEXT,
+    data JSONB,
+    details JSONB,
+    request_id TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    dispatched_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbox_undispatched ON outbox(id) WHERE dispatched_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_outbox_dispatched_at ON outbox(dispatched_at);
+
+-- Outgoing webhooks: order changes are POSTed, HMAC-signed, to these URLs
+-- (see src/services/webhookDispatcher.js)
+CREATE TABLE IF NOT EXISTS webhooks (
+    id SERIAL PRIMARY KEY,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    events TEXT[] NOT NULL DEFAULT ARRAY['*'],
+    filter TEXT,
+    description TEXT,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Delivery queue and log: one row per event and webhook, retried with backoff
+-- until it is delivered or runs out of attempts (status 'dead')
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id BIGSERIAL PRIMARY KEY,
+    webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    event TEXT NOT NULL,
+    sequence BIGINT,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'dead')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_status_code INTEGER,
+    last_error TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    delivered_at TIMESTAMPTZ,
+    -- A change replayed after a listener reconnect is queued only once
+    UNIQUE (webhook_id, sequence)
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id);
+
+-- Every attempt of a delivery, with the receiver's answer
+CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+    id BIGSERIAL PRIMARY KEY,
+    delivery_id BIGINT NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+    attempt INTEGER NOT NULL,
+    attempted_at TIMESTAMPTZ DEFAULT NOW(),
+    status_code INTEGER,
+    error TEXT,
+    duration_ms INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_delivery_attempts_delivery ON webhook_delivery_attempts(delivery_id);
+
+-- Large messages exchanged between server nodes by the Socket.IO Postgres
+-- adapter (CLUSTER_ENABLED=true) don't fit in a NOTIFY and are stored here
+CREATE TABLE IF NOT EXISTS socket_io_attachments (
+    id BIGSERIAL UNIQUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    payload BYTEA
+);
+
+-- Generic function to notify about table changes. Installed per table with:
+--   notify_table_change('<channel>', '<primary key column>', '<exposed columns>')
+-- where exposed columns is a comma separated list, or '*' for every column.
+-- The server installs and verifies these triggers for each tracked table
+-- (see src/config/tables.js); the orders trigger below is the default setup.
+CREATE OR REPLACE FUNCTION notify_table_change()
+RETURNS TRIGGER AS $$
+DECLARE
+    channel TEXT;
+    pk_column TEXT;
+    exposed_columns TEXT[];
     payload JSON;
+    row_data JSONB;
+    old_data JSONB;
+    row_id TEXT;
+    change_seq BIGINT;
+    request_id TEXT;
 BEGIN
-    -- Create payload with operation type and data
+    channel = TG_ARGV[0];
+    pk_column = COALESCE(TG_ARGV[1], 'id');
+    exposed_columns = string_to_array(NULLIF(COALESCE(TG_ARGV[2], '*'), '*'), ',');
+
     IF TG_OP = 'DELETE' THEN
-        payload = json_build_object(
-            'operation', TG_OP,
-            'table', TG_TABLE_NAME,
-            'data', row_to_json(OLD),
-            'timestamp', extract(epoch from now())
-        );
+        row_data = to_jsonb(OLD);
     ELSE
+        row_data = to_jsonb(NEW);
+    END IF;
+
+    -- Updates also carry the previous row so clients can see what changed
+    IF TG_OP = 'UPDATE' THEN
+        old_data = to_jsonb(OLD);
+    END IF;
+
+    row_id = row_data->>pk_column;
+    request_id = NULLIF(current_setting('realtime.request_id', true), '');
+
+    -- Only expose the configured columns
+    IF exposed_columns IS NOT NULL THEN
+        SELECT jsonb_object_agg(key, value) INTO row_data
+        FROM jsonb_each(row_data) WHERE key = ANY(exposed_columns);
+
+        IF old_data IS NOT NULL THEN
+            SELECT jsonb_object_agg(key, value) INTO old_data
+            FROM jsonb_each(old_data) WHERE key = ANY(exposed_columns);
+        END IF;
+    END IF;
+
+    -- Record the change so it can be replayed to clients that missed it
+    INSERT INTO change_log (table_name, operation, row_id, data, old_data, txid, request_id)
+    VALUES (TG_TABLE_NAME, TG_OP, row_id, row_data, old_data, txid_current(), request_id)
+    RETURNING seq INTO change_seq;
+
+    -- Create payload with operation type, sequence number and data
+    payload = json_build_object(
+        'operation', TG_OP,
+        'table', TG_TABLE_NAME,
+        'id', row_data->pk_column,
+        'sequence', change_seq,
+        'txid', txid_current(),
+        'requestId', request_id,
+        'data', row_data,
+        'old', old_data,
+        'timestamp', extract(epoch from now()),
+        'triggeredAt', extract(epoch from clock_timestamp())
+    );
+
+    -- NOTIFY payloads must stay under 8000 bytes. Large rows are sent as a
+    -- compact envelope and the listener reads the full row from change_log.
+    IF octet_length(payload::text) > 7500 THEN
         payload = json_build_object(
             'operation', TG_OP,
             'table', TG_TABLE_NAME,
-            'data', row_to_json(NEW),
-            'timestamp', extract(epoch from now())
+            'id', row_data->pk_column,
+            'sequence', change_seq,
+            'txid', txid_current(),
+            'requestId', request_id,
+            'timestamp', extract(epoch from now()),
+            'triggeredAt', extract(epoch from clock_timestamp()),
+            'truncated', true
         );
     END IF;
 
     -- Send notification
-    PERFORM pg_notify('orders_change', payload::text);
+    PERFORM pg_notify(channel, payload::text);
 
     -- Return the appropriate row
     IF TG_OP = 'DELETE' THEN
@@ -58,12 +346,53 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- Sends a commit marker once a transaction's changes have all been notified, so
+-- the listener knows when it can deliver the transaction as a single batch.
+-- Installed as a deferred constraint trigger, which runs at COMMIT after every
+-- change notification of the transaction has been queued.
+CREATE OR REPLACE FUNCTION notify_transaction_commit()
+RETURNS TRIGGER AS $$
+DECLARE
+    current_txid BIGINT;
+    event_count INTEGER;
+BEGIN
+    current_txid = txid_current();
+
+    -- The trigger fires once per changed row; only the first one sends the marker
+    IF current_setting('realtime.commit_marker', true) = current_txid::text THEN
+        RETURN NULL;
+    END IF;
+    PERFORM set_config('realtime.commit_marker', current_txid::text, true);
+
+    SELECT COUNT(*) INTO event_count FROM change_log WHERE txid = current_txid;
+
+    PERFORM pg_notify(TG_ARGV[0], json_build_object(
+        'type', 'commit',
+        'txid', current_txid,
+        'count', event_count,
+        'timestamp', extract(epoch from clock_timestamp())
+    )::text);
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
 -- Triggers for INSERT, UPDATE, DELETE
 DROP TRIGGER IF EXISTS orders_change_trigger ON orders;
 CREATE TRIGGER orders_change_trigger
     AFTER INSERT OR UPDATE OR DELETE ON orders
     FOR EACH ROW
-    EXECUTE FUNCTION notify_orders_change();
+    EXECUTE FUNCTION notify_table_change('orders_change', 'id', 'id,customer_name,product_name,status,updated_at');
+
+DROP TRIGGER IF EXISTS orders_commit_trigger ON orders;
+CREATE CONSTRAINT TRIGGER orders_commit_trigger
+    AFTER INSERT OR UPDATE OR DELETE ON orders
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW
+    EXECUTE FUNCTION notify_transaction_commit('orders_change');
+
+-- Replaced by the generic notify_table_change()
+DROP FUNCTION IF EXISTS notify_orders_change();
 
 -- Insert some sample data for testing
 INSERT INTO orders (customer_name, product_name, status) VALUES
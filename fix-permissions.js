@@ -58,6 +58,29 @@ async function fixPermissions() {
         
         // Grant usage on the sequence (for SERIAL columns)
         await client.query('GRANT USAGE, SELECT ON SEQUENCE orders_id_seq TO realtime_user');
+
+        // The notify trigger writes every change to the change log
+        await client.query('GRANT ALL PRIVILEGES ON TABLE change_log TO realtime_user');
+        await client.query('GRANT USAGE, SELECT ON SEQUENCE change_log_seq_seq TO realtime_user');
+
+        // Cluster nodes exchange large messages through this table
+        await client.query('GRANT ALL PRIVILEGES ON TABLE socket_io_attachments TO realtime_user');
+        await client.query('GRANT USAGE, SELECT ON SEQUENCE socket_io_attachments_id_seq TO realtime_user');
+
+        // Webhook registrations, their delivery queue and the attempts log
+        await client.query('GRANT ALL PRIVILEGES ON TABLE webhooks, webhook_deliveries, webhook_delivery_attempts TO realtime_user');
+        await client.query('GRANT USAGE, SELECT ON SEQUENCE webhooks_id_seq, webhook_deliveries_id_seq, webhook_delivery_attempts_id_seq TO realtime_user');
+
+        // Order writes queue their domain events in the outbox
+        await client.query('GRANT ALL PRIVILEGES ON TABLE outbox TO realtime_user');
+        await client.query('GRANT USAGE, SELECT ON SEQUENCE outbox_id_seq TO realtime_user');
+
+        // The status trigger reads the allowed transitions, the server rewrites them at startup
+        await client.query('GRANT ALL PRIVILEGES ON TABLE order_status_transitions TO realtime_user');
+
+        // The history trigger records every order change as the writing user
+        await client.query('GRANT ALL PRIVILEGES ON TABLE order_events TO realtime_user');
+        await client.query('GRANT USAGE, SELECT ON SEQUENCE order_events_id_seq TO realtime_user');
         
         // Grant connect privilege on database
         await client.query('GRANT CONNECT ON DATABASE realtime_orders TO realtime_user');
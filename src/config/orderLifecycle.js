@@ -0,0 +1,32 @@
+// Lifecycle of an order: the statuses it can have and the statuses each one may
+// move to. Orders are created `initial`; any other status change must be listed
+// here. The server copies the transitions into the order_status_transitions table
+// at startup, where a trigger enforces them for every write to orders.
+//
+// next   - statuses the order may move to; none for final statuses
+// guard  - optional check of a transition into the status, given the locked order
+//          and `{ from, reason }`; returns why the transition is refused, or null
+const ORDER_LIFECYCLE = {
+    initial: 'pending',
+    statuses: {
+        pending: { next: ['confirmed', 'cancelled'] },
+        confirmed: { next: ['shipped', 'cancelled'] },
+        // Shipped orders can no longer be cancelled, only returned once delivered
+        shipped: { next: ['delivered'] },
+        delivered: { next: ['returned'] },
+        returned: { next: ['refunded'] },
+        cancelled: {
+            next: [],
+            // Someone may already be preparing a confirmed order
+            guard: (order, { from, reason }) => (from === 'confirmed' && !reason
+                ? 'A reason is required to cancel a confirmed order'
+                : null)
+        },
+        refunded: {
+            next: [],
+            guard: (order, { reason }) => (reason ? null : 'A reason is required to refund an order')
+        }
+    }
+};
+
+module.exports = ORDER_LIFECYCLE;
\ No newline at end of file
@@ -0,0 +1,36 @@
+// Which change events each role receives and which fields it may see.
+//
+// tables      - per table rules; '*' applies to any table without its own rule.
+//               Tables without a rule are not delivered to the role at all.
+// fields      - columns included in events ('*' for all)
+// operations  - optional list of operations delivered (insert, update, delete)
+// scope       - optional row filter: only rows whose `column` equals the
+//               identity's `claim` are delivered (e.g. a customer's own orders)
+// mutations   - changes the role may make over the socket (create, update,
+//               delete); none when omitted
+// admin       - may use the /admin namespace and the /api/admin endpoints
+const ROLES = {
+    admin: {
+        admin: true,
+        tables: {
+            '*': { fields: '*', mutations: ['create', 'update', 'delete'] }
+        }
+    },
+    warehouse: {
+        tables: {
+            orders: { fields: ['id', 'product_name', 'status', 'updated_at'], mutations: ['update'] },
+            shipments: { fields: '*' },
+            inventory: { fields: '*' }
+        }
+    },
+    customer: {
+        tables: {
+            orders: {
+                fields: ['id', 'customer_name', 'product_name', 'status', 'updated_at'],
+                scope: { column: 'customer_name', claim: 'customerName' }
+            }
+        }
+    }
+};
+
+module.exports = ROLES;
\ No newline at end of file
@@ -0,0 +1,67 @@
+require('dotenv').config();
+
+// Event sinks that receive every change event broadcast to clients, for systems
+// other than browsers. Enable them by name with EVENT_SINKS (comma separated).
+//
+// type           - file, stdout, http or redis (see src/services/sinks)
+// tables         - only events of these tables (all when omitted)
+// operations     - only these operations: insert, update, delete (all when omitted)
+// filter         - filter expression on the row, as for subscriptions
+// batchSize      - events per write
+// flushInterval  - longest time an event waits for its batch to fill, in ms
+// maxQueue       - events kept while the sink is failing; the oldest are dropped
+//
+// plus the settings of each type: path, maxBytes and maxFiles for file, stream for
+// stdout, url, headers and timeout for http, url and channel for redis.
+const SINKS = {
+    file: {
+        type: 'file',
+        path: process.env.SINK_FILE_PATH || 'logs/changes.ndjson',
+        maxBytes: parseInt(process.env.SINK_FILE_MAX_BYTES) || 10 * 1024 * 1024,
+        maxFiles: 5
+    },
+    stdout: {
+        type: 'stdout'
+    },
+    http: {
+        type: 'http',
+        url: process.env.SINK_HTTP_URL,
+        headers: process.env.SINK_HTTP_TOKEN ? { Authorization: `Bearer ${process.env.SINK_HTTP_TOKEN}` } : {},
+        batchSize: 100,
+        flushInterval: 2000
+    },
+    redis: {
+        type: 'redis',
+        url: process.env.REDIS_URL || 'redis://localhost:6379',
+        channel: 'changes:{table}'
+    },
+    // A filtered sink: orders as they ship, for a carrier integration
+    shipped_orders: {
+        type: 'http',
+        url: process.env.SINK_SHIPPED_ORDERS_URL,
+        tables: ['orders'],
+        operations: ['update'],
+        filter: 'changed(status) and status = shipped'
+    }
+};
+
+// Sink definitions selected with EVENT_SINKS (none by default)
+function getEnabledSinks() {
+    const names = (process.env.EVENT_SINKS || '')
+        .split(',')
+        .map(name => name.trim())
+        .filter(Boolean);
+
+    return names.reduce((enabled, name) => {
+        if (!SINKS[name]) {
+            throw new Error(`Unknown sink in EVENT_SINKS: ${name}`);
+        }
+        enabled[name] = SINKS[name];
+        return enabled;
+    }, {});
+}
+
+module.exports = {
+    SINKS,
+    getEnabledSinks
+};
\ No newline at end of file
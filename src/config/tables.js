@@ -0,0 +1,107 @@
+require('dotenv').config();
+
+// Tables whose changes can be streamed to clients. For each table the server
+// installs the generic notify_table_change() trigger, listens on its channel
+// and emits `<table>:<operation>` events.
+//
+// primaryKey       - column used as the row id
+// columns          - columns exposed in change events ('*' for all)
+// rowRoomPrefix    - clients join `<prefix>_<id>` to follow a single row
+// statusColumn     - optional column that drives `<statusRoomPrefix>_<value>` rooms
+// history          - optional table a database trigger writes the row's history to,
+//                    `{ table, foreignKey }`. The entry written with a change is
+//                    attached to its event as `history`.
+const TABLES = {
+    orders: {
+        primaryKey: 'id',
+        columns: ['id', 'customer_name', 'product_name', 'status', 'updated_at'],
+        rowRoomPrefix: 'order',
+        statusColumn: 'status',
+        statusRoomPrefix: 'status',
+        history: { table: 'order_events', foreignKey: 'order_id' }
+    },
+    customers: {
+        primaryKey: 'id',
+        columns: ['id', 'name', 'email', 'updated_at'],
+        rowRoomPrefix: 'customer'
+    },
+    shipments: {
+        primaryKey: 'id',
+        columns: ['id', 'order_id', 'carrier', 'tracking_number', 'status', 'updated_at'],
+        rowRoomPrefix: 'shipment',
+        statusColumn: 'status'
+    },
+    inventory: {
+        primaryKey: 'sku',
+        columns: ['sku', 'product_name', 'quantity', 'updated_at'],
+        rowRoomPrefix: 'inventory'
+    }
+};
+
+// Fill in defaults for a table definition
+function normalizeTable(name, definition = {}) {
+    const primaryKey = definition.primaryKey || 'id';
+    let columns = definition.columns || '*';
+
+    // The primary key is always exposed, it identifies the row in every event
+    if (columns !== '*' && !columns.includes(primaryKey)) {
+        columns = [primaryKey, ...columns];
+    }
+
+    return {
+        name,
+        channel: definition.channel || `${name}_change`,
+        primaryKey,
+        columns,
+        rowRoomPrefix: definition.rowRoomPrefix || name,
+        statusColumn: definition.statusColumn || null,
+        statusRoomPrefix: definition.statusRoomPrefix || `${name}_status`,
+        history: definition.history || null
+    };
+}
+
+// The history table of `table` as a table of its own. Its changes are sent on the
+// channel of `table`, so they arrive in the same transaction as the row's change.
+function historyTableOf(table) {
+    return normalizeTable(table.history.table, { channel: table.channel });
+}
+
+// True when `name` is the history table of a table, its rows are part of that
+// table's change events rather than changes of their own
+function isHistoryTable(name) {
+    return Object.values(TABLES).some(definition => definition.history && definition.history.table === name);
+}
+
+// A history entry of `table` without the changes of columns the table doesn't expose
+function projectHistory(table, entry) {
+    if (table.columns === '*' || !entry.changes) return entry;
+
+    const changes = Object.fromEntries(
+        Object.entries(entry.changes).filter(([column]) => table.columns.includes(column))
+    );
+    return { ...entry, changes };
+}
+
+// Tables selected with TRACKED_TABLES (comma separated, defaults to orders)
+function getTrackedTables() {
+    const names = (process.env.TRACKED_TABLES || 'orders')
+        .split(',')
+        .map(name => name.trim())
+        .filter(Boolean);
+
+    return names.map(name => {
+        if (!TABLES[name]) {
+            throw new Error(`Unknown table in TRACKED_TABLES: ${name}`);
+        }
+        return normalizeTable(name, TABLES[name]);
+    });
+}
+
+module.exports = {
+    TABLES,
+    normalizeTable,
+    historyTableOf,
+    isHistoryTable,
+    projectHistory,
+    getTrackedTables
+};
\ No newline at end of file
@@ -0,0 +1,98 @@
+const { ServiceError } = require('../services/orderService');
+
+// Answer with the status of a ServiceError, or 500 for anything unexpected
+function sendError(res, err, message) {
+    if (err instanceof ServiceError) {
+        return res.status(err.status).json({
+            success: false,
+            error: err.message,
+            ...err.details
+        });
+    }
+
+    console.error(`${message}:`, err);
+    res.status(500).json({
+        success: false,
+        error: message,
+        message: err.message
+    });
+}
+
+// The REST side of AdminControl. Routes are behind requireAdmin, which sets req.identity.
+class AdminController {
+    // Broadcast pause and banner state of every node
+    async getStatus(req, res) {
+        try {
+            res.json(await req.app.locals.adminControl.getStatus());
+        } catch (err) {
+            sendError(res, err, 'Failed to get admin status');
+        }
+    }
+
+    // Connected clients with their subscriptions and lag
+    async listClients(req, res) {
+        try {
+            res.json(await req.app.locals.adminControl.listClients());
+        } catch (err) {
+            sendError(res, err, 'Failed to list clients');
+        }
+    }
+
+    async disconnectClient(req, res) {
+        try {
+            const result = await req.app.locals.adminControl.disconnectClient({
+                clientId: req.params.id,
+                reason: req.body.reason
+            }, req.identity);
+            res.json(result);
+        } catch (err) {
+            sendError(res, err, 'Failed to disconnect client');
+        }
+    }
+
+    async throttleClient(req, res) {
+        try {
+            const result = await req.app.locals.adminControl.throttleClient({
+                clientId: req.params.id,
+                eventsPerSecond: req.body.eventsPerSecond
+            }, req.identity);
+            res.json(result);
+        } catch (err) {
+            sendError(res, err, 'Failed to throttle client');
+        }
+    }
+
+    async setBanner(req, res) {
+        try {
+            res.json(await req.app.locals.adminControl.setBanner(req.body, req.identity));
+        } catch (err) {
+            sendError(res, err, 'Failed to set the banner');
+        }
+    }
+
+    async clearBanner(req, res) {
+        try {
+            res.json(await req.app.locals.adminControl.clearBanner({}, req.identity));
+        } catch (err) {
+            sendError(res, err, 'Failed to clear the banner');
+        }
+    }
+
+    async pauseBroadcasts(req, res) {
+        try {
+            res.json(await req.app.locals.adminControl.pauseBroadcasts(req.body, req.identity));
+        } catch (err) {
+            sendError(res, err, 'Failed to pause broadcasts');
+        }
+    }
+
+    async resumeBroadcasts(req, res) {
+        try {
+            res.json(await req.app.locals.adminControl.resumeBroadcasts({}, req.identity));
+        } catch (err) {
+            sendError(res, err, 'Failed to resume broadcasts');
+        }
+    }
+}
+
+module.exports = new AdminController();
\ No newline at end of file
@@ -1,4 +1,64 @@
+const crypto = require('crypto');
 const { pool } = require('../config/database');
+const { OrderService, ServiceError, VALID_STATUSES } = require('../services/orderService');
+const { describeLifecycle, nextStatuses } = require('../services/orderLifecycle');
+const { TABLES, normalizeTable, projectHistory } = require('../config/tables');
+
+const orderService = new OrderService();
+const ordersTable = normalizeTable('orders', TABLES.orders);
+
+// Id of the request, taken from X-Request-Id or generated, and echoed back in the
+// response. Change events caused by the request carry it as `requestId`.
+function requestIdFor(req, res) {
+    const requestId = req.get('x-request-id') || crypto.randomUUID();
+    res.set('X-Request-Id', requestId);
+    return requestId;
+}
+
+// Answer with the status of a ServiceError, or 500 for anything unexpected
+function sendError(res, err, message) {
+    if (err instanceof ServiceError) {
+        return res.status(err.status).json({
+            success: false,
+            error: err.message,
+            ...err.details
+        });
+    }
+
+    console.error(`${message}:`, err);
+    res.status(500).json({
+        success: false,
+        error: message,
+        message: err.message
+    });
+}
+
+// The periods an order spent in each status, from its history. The current status
+// has no `until` and counts its duration up to now.
+function statusPeriods(events) {
+    const periods = [];
+
+    events.forEach(event => {
+        if (event.event_type === 'updated') return;
+
+        const current = periods[periods.length - 1];
+        if (current) {
+            current.until = event.created_at;
+            current.durationMs = new Date(event.created_at) - new Date(current.since);
+        }
+
+        if (event.event_type !== 'deleted') {
+            periods.push({ status: event.to_status, since: event.created_at, until: null, durationMs: null });
+        }
+    });
+
+    const last = periods[periods.length - 1];
+    if (last && !last.until) {
+        last.durationMs = Date.now() - new Date(last.since);
+    }
+
+    return periods;
+}
 
 class OrdersController {
     // Get all orders with optional filtering
@@ -89,53 +149,38 @@ class OrdersController {
     // Create a new order
     async createOrder(req, res) {
         try {
-            const { customer_name, product_name, status = 'pending' } = req.body;
-
-            // Validation
-            if (!customer_name || !product_name) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'customer_name and product_name are required'
-                });
-            }
-
-            if (!['pending', 'shipped', 'delivered'].includes(status)) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'status must be one of: pending, shipped, delivered'
-                });
-            }
-
-            const query = `
-                INSERT INTO orders (customer_name, product_name, status)
-                VALUES ($1, $2, $3)
-                RETURNING *
-            `;
+            const order = await orderService.createOrder(req.body, { requestId: requestIdFor(req, res) });
 
-            const result = await pool.query(query, [customer_name, product_name, status]);
-            
-            console.log('✅ Order created:', result.rows[0]);
-            
             res.status(201).json({
                 success: true,
-                data: result.rows[0],
+                data: order,
                 message: 'Order created successfully'
             });
         } catch (err) {
-            console.error('Error creating order:', err);
-            res.status(500).json({
-                success: false,
-                error: 'Failed to create order',
-                message: err.message
-            });
+            sendError(res, err, 'Failed to create order');
         }
     }
 
     // Update an existing order
     async updateOrder(req, res) {
+        try {
+            const order = await orderService.updateOrder(req.params.id, req.body, { requestId: requestIdFor(req, res) });
+
+            res.json({
+                success: true,
+                data: order,
+                message: 'Order updated successfully'
+            });
+        } catch (err) {
+            sendError(res, err, 'Failed to update order');
+        }
+    }
+
+    // History of an order, oldest first, and how long it spent in each status.
+    // Deleted orders keep their history.
+    async getOrderHistory(req, res) {
         try {
             const { id } = req.params;
-            const { customer_name, product_name, status } = req.body;
 
             if (!id || isNaN(parseInt(id))) {
                 return res.status(400).json({
@@ -144,112 +189,76 @@ class OrdersController {
                 });
             }
 
-            // Check if order exists
-            const existingOrder = await pool.query('SELECT * FROM orders WHERE id = $1', [id]);
-            if (existingOrder.rows.length === 0) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Order not found'
-                });
-            }
-
-            // Validate status if provided
-            if (status && !['pending', 'shipped', 'delivered'].includes(status)) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'status must be one of: pending, shipped, delivered'
-                });
-            }
-
-            // Build dynamic update query
-            let updateFields = [];
-            let params = [];
-            let paramIndex = 1;
+            const result = await pool.query(
+                'SELECT * FROM order_events WHERE order_id = $1 ORDER BY id',
+                [id]
+            );
 
-            if (customer_name !== undefined) {
-                updateFields.push(`customer_name = $${paramIndex++}`);
-                params.push(customer_name);
-            }
+            // Orders from before the history was recorded have none yet
+            if (result.rows.length === 0) {
+                const order = await pool.query('SELECT id FROM orders WHERE id = $1', [id]);
 
-            if (product_name !== undefined) {
-                updateFields.push(`product_name = $${paramIndex++}`);
-                params.push(product_name);
+                if (order.rows.length === 0) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Order not found'
+                    });
+                }
             }
 
-            if (status !== undefined) {
-                updateFields.push(`status = $${paramIndex++}`);
-                params.push(status);
-            }
+            // Only the columns orders expose in change events, updates of others aren't shown
+            const history = result.rows
+                .map(entry => projectHistory(ordersTable, entry))
+                .filter(entry => entry.event_type !== 'updated' || Object.keys(entry.changes).length > 0);
 
-            if (updateFields.length === 0) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'No fields to update'
-                });
-            }
+            res.json({
+                success: true,
+                data: history,
+                count: history.length,
+                statuses: statusPeriods(history)
+            });
+        } catch (err) {
+            sendError(res, err, 'Failed to fetch order history');
+        }
+    }
 
-            params.push(id);
-            const query = `
-                UPDATE orders 
-                SET ${updateFields.join(', ')}
-                WHERE id = $${paramIndex}
-                RETURNING *
-            `;
+    // Move an order to another status of its lifecycle: { to, reason }
+    async transitionOrder(req, res) {
+        try {
+            const { order, from, to } = await orderService.transitionOrder(req.params.id, req.body, { requestId: requestIdFor(req, res) });
 
-            const result = await pool.query(query, params);
-            
-            console.log('📝 Order updated:', result.rows[0]);
-            
             res.json({
                 success: true,
-                data: result.rows[0],
-                message: 'Order updated successfully'
+                data: order,
+                transition: { from, to },
+                next: nextStatuses(to),
+                message: `Order moved from ${from} to ${to}`
             });
         } catch (err) {
-            console.error('Error updating order:', err);
-            res.status(500).json({
-                success: false,
-                error: 'Failed to update order',
-                message: err.message
-            });
+            sendError(res, err, 'Failed to change order status');
         }
     }
 
+    // The order statuses and the statuses each one may move to
+    getLifecycle(req, res) {
+        res.json({
+            success: true,
+            data: describeLifecycle()
+        });
+    }
+
     // Delete an order
     async deleteOrder(req, res) {
         try {
-            const { id } = req.params;
-
-            if (!id || isNaN(parseInt(id))) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Invalid order ID'
-                });
-            }
+            const order = await orderService.deleteOrder(req.params.id, { requestId: requestIdFor(req, res) });
 
-            const result = await pool.query('DELETE FROM orders WHERE id = $1 RETURNING *', [id]);
-            
-            if (result.rows.length === 0) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Order not found'
-                });
-            }
-
-            console.log('🗑️ Order deleted:', result.rows[0]);
-            
             res.json({
                 success: true,
-                data: result.rows[0],
+                data: order,
                 message: 'Order deleted successfully'
             });
         } catch (err) {
-            console.error('Error deleting order:', err);
-            res.status(500).json({
-                success: false,
-                error: 'Failed to delete order',
-                message: err.message
-            });
+            sendError(res, err, 'Failed to delete order');
         }
     }
 
@@ -260,8 +269,12 @@ class OrdersController {
                 SELECT 
                     COUNT(*) as total_orders,
                     COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_orders,
+                    COUNT(CASE WHEN status = 'confirmed' THEN 1 END) as confirmed_orders,
                     COUNT(CASE WHEN status = 'shipped' THEN 1 END) as shipped_orders,
                     COUNT(CASE WHEN status = 'delivered' THEN 1 END) as delivered_orders,
+                    COUNT(CASE WHEN status = 'cancelled' THEN 1 END) as cancelled_orders,
+                    COUNT(CASE WHEN status = 'returned' THEN 1 END) as returned_orders,
+                    COUNT(CASE WHEN status = 'refunded' THEN 1 END) as refunded_orders,
                     COUNT(DISTINCT customer_name) as unique_customers,
                     MAX(updated_at) as last_updated
                 FROM orders
@@ -286,49 +299,17 @@ class OrdersController {
     // Bulk update order statuses
     async bulkUpdateStatus(req, res) {
         try {
-            const { order_ids, status } = req.body;
-
-            if (!order_ids || !Array.isArray(order_ids) || order_ids.length === 0) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'order_ids must be a non-empty array'
-                });
-            }
+            const { order_ids, status, reason } = req.body;
+            const orders = await orderService.bulkUpdateStatus(order_ids, status, { requestId: requestIdFor(req, res), reason });
 
-            if (!status || !['pending', 'shipped', 'delivered'].includes(status)) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'status must be one of: pending, shipped, delivered'
-                });
-            }
-
-            const placeholders = order_ids.map((_, index) => `$${index + 1}`).join(',');
-            const params = [...order_ids, status];
-
-            const query = `
-                UPDATE orders 
-                SET status = $${order_ids.length + 1}
-                WHERE id IN (${placeholders})
-                RETURNING *
-            `;
-
-            const result = await pool.query(query, params);
-            
-            console.log(`📦 Bulk updated ${result.rows.length} orders to status: ${status}`);
-            
             res.json({
                 success: true,
-                data: result.rows,
-                updated_count: result.rows.length,
-                message: `Successfully updated ${result.rows.length} orders`
+                data: orders,
+                updated_count: orders.length,
+                message: `Successfully updated ${orders.length} orders`
             });
         } catch (err) {
-            console.error('Error bulk updating orders:', err);
-            res.status(500).json({
-                success: false,
-                error: 'Failed to bulk update orders',
-                message: err.message
-            });
+            sendError(res, err, 'Failed to bulk update orders');
         }
     }
 
@@ -358,7 +339,7 @@ class OrdersController {
             }
 
             // Status filter
-            if (status && ['pending', 'shipped', 'delivered'].includes(status)) {
+            if (status && VALID_STATUSES.includes(status)) {
                 query += ` AND status = $${paramIndex}`;
                 params.push(status);
                 paramIndex++;
@@ -401,7 +382,7 @@ class OrdersController {
                 countParamIndex++;
             }
 
-            if (status && ['pending', 'shipped', 'delivered'].includes(status)) {
+            if (status && VALID_STATUSES.includes(status)) {
                 countQuery += ` AND status = $${countParamIndex}`;
                 countParams.push(status);
                 countParamIndex++;
@@ -0,0 +1,146 @@
+const { authenticateRequest } = require('../services/auth');
+
+const HEARTBEAT_INTERVAL = parseInt(process.env.SSE_HEARTBEAT_INTERVAL) || 15000;
+// A client that lets this much data pile up is disconnected, it resumes with Last-Event-ID
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+// Server notices passed through to every stream, whatever its filters
+const NOTICES = ['resync_required', 'maintenance_banner', 'broadcasts_paused', 'broadcasts_resumed', 'disconnected_by_admin'];
+
+let nextClientId = 1;
+
+// Format one Server-Sent Event. Change events use their sequence number as the
+// event id, so a reconnecting client sends it back as Last-Event-ID.
+function formatEvent(event, payload) {
+    const id = payload.sequence !== undefined && payload.sequence !== null ? `id: ${payload.sequence}\n` : '';
+    return `${id}event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+}
+
+// The same filters as GET /api/orders: exact status, customer name substring
+function buildRowFilter({ status, customer_name }) {
+    const customer = customer_name ? String(customer_name).toLowerCase() : null;
+
+    return (row) => Boolean(row) &&
+        (!status || row.status === status) &&
+        (!customer || String(row.customer_name || '').toLowerCase().includes(customer));
+}
+
+class StreamController {
+    // Stream order changes as Server-Sent Events
+    async streamOrders(req, res) {
+        const { wsHandler } = req.app.locals;
+        if (!wsHandler) {
+            return res.status(503).json({
+                success: false,
+                error: 'Change stream is not available',
+                message: 'The server is still starting'
+            });
+        }
+
+        const identity = authenticateRequest(req);
+        if (!identity) {
+            return res.status(401).json({
+                success: false,
+                error: 'Unauthorized',
+                message: 'Send a token (Authorization: Bearer or ?token=) or an API key (X-API-Key or ?apiKey=)'
+            });
+        }
+
+        const matches = buildRowFilter(req.query);
+        const lastEventId = req.get('last-event-id') || req.query.lastEventId;
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            // Keep reverse proxies such as nginx from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 3000\n\n');
+
+        // Sequences sent by the replay, their live copies can still arrive afterwards
+        const replayed = new Set();
+        const client = {
+            id: `sse_${nextClientId++}`,
+            transport: 'sse',
+            connectedAt: new Date(),
+            // Individual row events rather than one batch per transaction, so
+            // every event has its own id to resume from
+            rooms: new Set(['row_events']),
+            data: { identity, firehose: true },
+            // Live events wait here while missed ones are replayed
+            buffer: lastEventId ? [] : null,
+            closed: false,
+
+            get buffered() {
+                return res.writableLength;
+            },
+
+            send(event, payload) {
+                if (client.closed) return;
+                if (payload.replayed) {
+                    replayed.add(payload.sequence);
+                } else if (replayed.has(payload.sequence)) {
+                    return;
+                }
+
+                if (!NOTICES.includes(event)) {
+                    if (payload.table !== 'orders' || !event.startsWith('orders:')) return;
+                    if (!matches(payload.data) && !matches(payload.previous)) return;
+
+                    if (client.buffer && !payload.replayed) {
+                        client.buffer.push({ event, payload });
+                        return;
+                    }
+                }
+
+                res.write(formatEvent(event, payload));
+
+                if (res.writableLength > MAX_BUFFERED_BYTES) {
+                    console.warn(`🐢 Stream client ${client.id} is too slow, closing its stream`);
+                    client.close();
+                }
+            },
+
+            close() {
+                if (client.closed) return;
+                client.closed = true;
+                clearInterval(heartbeat);
+                wsHandler.removeStreamClient(client);
+                res.end();
+            }
+        };
+
+        const heartbeat = setInterval(() => {
+            res.write(`: heartbeat ${new Date().toISOString()}\n\n`);
+        }, HEARTBEAT_INTERVAL);
+
+        res.on('close', () => client.close());
+        wsHandler.addStreamClient(client);
+
+        if (wsHandler.banner) {
+            client.send('maintenance_banner', { banner: wsHandler.banner, serverTime: new Date() });
+        }
+
+        if (!lastEventId) return;
+
+        // Resume after the last event the client saw
+        const result = await wsHandler.replayChanges(client, lastEventId);
+
+        if (result.status !== 'ok') {
+            const reasons = { too_old: 'resume_too_old', unavailable: 'resume_unavailable' };
+            client.send('resync_required', {
+                reason: reasons[result.status] || 'resume_failed',
+                oldestSequence: result.oldestSequence,
+                latestSequence: result.latestSequence,
+                serverTime: new Date()
+            });
+        }
+
+        // Live events that arrived meanwhile, unless the replay already sent them
+        const buffered = client.buffer;
+        client.buffer = null;
+        buffered.forEach(({ event, payload }) => client.send(event, payload));
+    }
+}
+
+module.exports = new StreamController();
\ No newline at end of file
@@ -0,0 +1,126 @@
+const WebhookStore = require('../services/webhookStore');
+const { ServiceError } = require('../services/orderService');
+
+const webhookStore = new WebhookStore();
+
+// Answer with the status of a ServiceError, or 500 for anything unexpected
+function sendError(res, err, message) {
+    if (err instanceof ServiceError) {
+        return res.status(err.status).json({
+            success: false,
+            error: err.message,
+            ...err.details
+        });
+    }
+
+    console.error(`${message}:`, err);
+    res.status(500).json({
+        success: false,
+        error: message,
+        message: err.message
+    });
+}
+
+// The dispatcher caches the active webhooks, drop them after a change
+function invalidate(req) {
+    const { webhookDispatcher } = req.app.locals;
+    if (webhookDispatcher) webhookDispatcher.invalidate();
+}
+
+class WebhooksController {
+    async listWebhooks(req, res) {
+        try {
+            const webhooks = await webhookStore.list();
+            res.json({ success: true, data: webhooks, count: webhooks.length });
+        } catch (err) {
+            sendError(res, err, 'Failed to fetch webhooks');
+        }
+    }
+
+    async getWebhook(req, res) {
+        try {
+            res.json({ success: true, data: await webhookStore.get(req.params.id) });
+        } catch (err) {
+            sendError(res, err, 'Failed to fetch webhook');
+        }
+    }
+
+    // Register a webhook; the response is the only place its secret is shown
+    async createWebhook(req, res) {
+        try {
+            const webhook = await webhookStore.create(req.body);
+            invalidate(req);
+
+            res.status(201).json({
+                success: true,
+                data: webhook,
+                message: 'Webhook registered, keep the secret to verify signatures'
+            });
+        } catch (err) {
+            sendError(res, err, 'Failed to create webhook');
+        }
+    }
+
+    async updateWebhook(req, res) {
+        try {
+            const webhook = await webhookStore.update(req.params.id, req.body);
+            invalidate(req);
+
+            res.json({ success: true, data: webhook, message: 'Webhook updated successfully' });
+        } catch (err) {
+            sendError(res, err, 'Failed to update webhook');
+        }
+    }
+
+    async deleteWebhook(req, res) {
+        try {
+            const webhook = await webhookStore.remove(req.params.id);
+            invalidate(req);
+
+            res.json({ success: true, data: webhook, message: 'Webhook deleted successfully' });
+        } catch (err) {
+            sendError(res, err, 'Failed to delete webhook');
+        }
+    }
+
+    // Delivery log: the latest deliveries with each attempt, ?status=dead for dead letters
+    async listDeliveries(req, res) {
+        try {
+            const deliveries = await webhookStore.listDeliveries(req.params.id, req.query);
+            res.json({ success: true, data: deliveries, count: deliveries.length });
+        } catch (err) {
+            sendError(res, err, 'Failed to fetch webhook deliveries');
+        }
+    }
+
+    // Queue a dead letter again
+    async retryDelivery(req, res) {
+        try {
+            const delivery = await webhookStore.retryDelivery(req.params.id, req.params.deliveryId);
+            if (req.app.locals.webhookDispatcher) req.app.locals.webhookDispatcher.poke();
+
+            res.json({ success: true, data: delivery, message: 'Delivery queued again' });
+        } catch (err) {
+            sendError(res, err, 'Failed to retry webhook delivery');
+        }
+    }
+
+    // Send a webhook:ping event to check the receiver and its signature verification
+    async pingWebhook(req, res) {
+        try {
+            const { webhookDispatcher } = req.app.locals;
+            if (!webhookDispatcher) {
+                throw new ServiceError('Webhook delivery is not available', 503);
+            }
+
+            const webhook = await webhookStore.get(req.params.id);
+            const delivery = await webhookDispatcher.ping(webhook.id);
+
+            res.status(202).json({ success: true, data: delivery, message: 'Ping queued' });
+        } catch (err) {
+            sendError(res, err, 'Failed to ping webhook');
+        }
+    }
+}
+
+module.exports = new WebhooksController();
\ No newline at end of file
@@ -0,0 +1,32 @@
+const { authenticateRequest } = require('../services/auth');
+const AccessControl = require('../services/accessControl');
+
+const accessControl = new AccessControl();
+
+// Only the admin role gets past this point; sets req.identity
+const requireAdmin = (req, res, next) => {
+    const identity = authenticateRequest(req);
+
+    if (!identity) {
+        return res.status(401).json({
+            success: false,
+            error: 'Unauthorized',
+            message: 'Send a token (Authorization: Bearer) or an API key (X-API-Key)'
+        });
+    }
+
+    if (!accessControl.isAdmin(identity)) {
+        return res.status(403).json({
+            success: false,
+            error: 'Forbidden',
+            message: 'The admin role is required'
+        });
+    }
+
+    req.identity = identity;
+    next();
+};
+
+module.exports = {
+    requireAdmin
+};
\ No newline at end of file
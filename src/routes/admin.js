@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { requireAdmin } = require('../middleware/auth');
+
+// Admin control is created once the WebSocket handler is up
+const requireAdminControl = (req, res, next) => {
+    if (!req.app.locals.adminControl) {
+        return res.status(503).json({
+            success: false,
+            error: 'Admin control is not available',
+            message: 'The server is still starting'
+        });
+    }
+
+    next();
+};
+
+router.use(requireAdmin);
+router.use(requireAdminControl);
+
+router.get('/status', adminController.getStatus);
+router.get('/clients', adminController.listClients);
+router.post('/clients/:id/disconnect', adminController.disconnectClient);
+router.post('/clients/:id/throttle', adminController.throttleClient);
+
+router.put('/banner', adminController.setBanner);
+router.delete('/banner', adminController.clearBanner);
+
+router.post('/broadcasts/pause', adminController.pauseBroadcasts);
+router.post('/broadcasts/resume', adminController.resumeBroadcasts);
+
+module.exports = router;
\ No newline at end of file
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const ordersController = require('../controllers/ordersController');
+const streamController = require('../controllers/streamController');
+const { httpMetrics } = require('../services/metrics');
 
 // Validation middleware
 const validateOrderData = (req, res, next) => {
@@ -41,6 +43,7 @@ const rateLimiter = (req, res, next) => {
 };
 
 // Apply middleware
+router.use(httpMetrics);
 router.use(logRequest);
 router.use(rateLimiter);
 
@@ -51,12 +54,16 @@ router.get('/analytics', ordersController.getOrderAnalytics);
 router.get('/recent', ordersController.getRecentOrders);
 router.get('/search', ordersController.searchOrders);
 router.get('/export', ordersController.exportOrders);
+router.get('/stream', streamController.streamOrders);
+router.get('/lifecycle', ordersController.getLifecycle);
 router.get('/customer/:customer_name', ordersController.getOrdersByCustomer);
 router.get('/:id', ordersController.getOrderById);
+router.get('/:id/history', ordersController.getOrderHistory);
 
 router.post('/', validateOrderData, ordersController.createOrder);
 router.put('/:id', validateOrderData, ordersController.updateOrder);
 router.delete('/:id', ordersController.deleteOrder);
+router.post('/:id/transitions', ordersController.transitionOrder);
 
 // Bulk operations
 router.patch('/bulk-status', ordersController.bulkUpdateStatus);
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const webhooksController = require('../controllers/webhooksController');
+const { requireAdmin } = require('../middleware/auth');
+
+router.use(requireAdmin);
+
+router.get('/', webhooksController.listWebhooks);
+router.post('/', webhooksController.createWebhook);
+router.get('/:id', webhooksController.getWebhook);
+router.put('/:id', webhooksController.updateWebhook);
+router.delete('/:id', webhooksController.deleteWebhook);
+
+router.get('/:id/deliveries', webhooksController.listDeliveries);
+router.post('/:id/deliveries/:deliveryId/retry', webhooksController.retryDelivery);
+router.post('/:id/ping', webhooksController.pingWebhook);
+
+module.exports = router;
\ No newline at end of file
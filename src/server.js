@@ -4,23 +4,47 @@ const path = require('path');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
+const os = require('os');
+const { createAdapter } = require('@socket.io/postgres-adapter');
 require('dotenv').config();
 
 // Import our modules
-const { testConnection, closePool } = require('./config/database');
-const DatabaseListener = require('./services/dbListener');
+const { pool, testConnection, closePool } = require('./config/database');
+const { getTrackedTables, isHistoryTable } = require('./config/tables');
+const { createChangeSource, getChangeSourceName } = require('./services/changeSource');
 const WebSocketHandler = require('./services/websocketHandler');
+const AdminControl = require('./services/adminControl');
+const ChangeLog = require('./services/changeLog');
+const { SnapshotReader } = require('./services/snapshot');
+const { OrderService } = require('./services/orderService');
+const { installTriggers, verifyTables } = require('./services/triggerInstaller');
+const { syncTransitions } = require('./services/orderLifecycle');
+const { WebhookDispatcher } = require('./services/webhookDispatcher');
+const { OutboxRelay } = require('./services/outbox');
+const { SinkBridge } = require('./services/sinks');
+const { getEnabledSinks } = require('./config/sinks');
+const LeaderElector = require('./services/leaderElector');
+const { register, metrics, observeWebSocketHandler, observePool } = require('./services/metrics');
 const ordersRoutes = require('./routes/orders');
+const adminRoutes = require('./routes/admin');
+const webhooksRoutes = require('./routes/webhooks');
 
 class RealtimeOrderServer {
     constructor() {
         this.app = express();
         this.server = http.createServer(this.app);
         this.port = process.env.PORT || 3000;
+        this.clustered = process.env.CLUSTER_ENABLED === 'true';
+        this.nodeId = process.env.NODE_ID || `${os.hostname()}-${process.pid}`;
         
         // Initialize services
         this.dbListener = null;
         this.wsHandler = null;
+        this.changeLog = null;
+        this.leaderElector = null;
+        this.webhookDispatcher = null;
+        this.outboxRelay = null;
+        this.sinkBridge = null;
         
         this.setupMiddleware();
         this.setupRoutes();
@@ -64,12 +88,15 @@ class RealtimeOrderServer {
     setupRoutes() {
         // API Routes
         this.app.use('/api/orders', ordersRoutes);
+        this.app.use('/api/admin', adminRoutes);
+        this.app.use('/api/webhooks', webhooksRoutes);
 
         // Health check endpoint
         this.app.get('/health', async (req, res) => {
             const dbStatus = await testConnection();
             const wsStats = this.wsHandler ? this.wsHandler.getStats() : null;
             const dbListenerStatus = this.dbListener ? this.dbListener.getStatus() : null;
+            const clusterStats = this.wsHandler ? await this.wsHandler.getClusterStats() : null;
 
             res.json({
                 status: 'ok',
@@ -77,17 +104,30 @@ class RealtimeOrderServer {
                 uptime: process.uptime(),
                 database: {
                     connected: dbStatus,
-                    listener: dbListenerStatus
+                    listener: dbListenerStatus,
+                    outbox: this.outboxRelay ? this.outboxRelay.getStatus() : null
                 },
                 websocket: {
                     connected: wsStats ? wsStats.connectedClients : 0,
                     stats: wsStats
                 },
+                cluster: clusterStats,
                 memory: process.memoryUsage(),
                 version: process.version
             });
         });
 
+        // Prometheus metrics
+        this.app.get('/metrics', async (req, res) => {
+            try {
+                res.set('Content-Type', register.contentType);
+                res.end(await register.metrics());
+            } catch (err) {
+                console.error('Error collecting metrics:', err);
+                res.status(500).end(err.message);
+            }
+        });
+
         // API info endpoint
         this.app.get('/api', (req, res) => {
             res.json({
@@ -101,13 +141,51 @@ class RealtimeOrderServer {
                     'PUT /api/orders/:id': 'Update order',
                     'DELETE /api/orders/:id': 'Delete order',
                     'GET /api/orders/stats': 'Get order statistics',
-                    'PATCH /api/orders/bulk-status': 'Bulk update order status'
+                    'GET /api/orders/stream': 'Server-Sent Events stream of order changes (status, customer_name filters, Last-Event-ID)',
+                    'PATCH /api/orders/bulk-status': 'Bulk update order status',
+                    'GET /api/orders/lifecycle': 'Order statuses and the statuses each one may move to',
+                    'POST /api/orders/:id/transitions': 'Move an order to its next status ({to, reason}), 409 names the allowed ones',
+                    'GET /api/orders/:id/history': 'Every change of an order and the time it spent in each status',
+                    'GET /api/admin/status': 'Broadcast pause and maintenance banner state (admin role)',
+                    'GET /api/admin/clients': 'Connected clients with their subscriptions and lag (admin role)',
+                    'POST /api/admin/clients/:id/disconnect': 'Force-disconnect a client (admin role)',
+                    'POST /api/admin/clients/:id/throttle': 'Limit a client to eventsPerSecond, null lifts it (admin role)',
+                    'PUT /api/admin/banner': 'Show a maintenance banner on every client (admin role)',
+                    'DELETE /api/admin/banner': 'Remove the maintenance banner (admin role)',
+                    'POST /api/admin/broadcasts/pause': 'Hold change events, e.g. during database maintenance (admin role)',
+                    'POST /api/admin/broadcasts/resume': 'Deliver the held change events and resume (admin role)',
+                    'GET /api/webhooks': 'List webhooks (admin role)',
+                    'POST /api/webhooks': 'Register a webhook: url, events, filter (admin role)',
+                    'GET /api/webhooks/:id': 'Get a webhook (admin role)',
+                    'PUT /api/webhooks/:id': 'Update a webhook (admin role)',
+                    'DELETE /api/webhooks/:id': 'Delete a webhook (admin role)',
+                    'GET /api/webhooks/:id/deliveries': 'Delivery log with every attempt, ?status=dead for dead letters (admin role)',
+                    'POST /api/webhooks/:id/deliveries/:deliveryId/retry': 'Queue an undelivered delivery again (admin role)',
+                    'POST /api/webhooks/:id/ping': 'Send a webhook:ping event (admin role)'
                 },
                 websocket: {
+                    note: 'Events are emitted as <table>:<operation> for every table in TRACKED_TABLES',
+                    plainWebSocket: `${process.env.RAW_WEBSOCKET_PATH || '/ws'} (RFC 6455, same events as JSON messages)`,
+                    adminNamespace: '/admin (admin role, the /api/admin commands as acknowledged events)',
                     events: {
                         'orders:insert': 'New order created',
                         'orders:update': 'Order updated',
-                        'orders:delete': 'Order deleted'
+                        'orders:delete': 'Order deleted',
+                        'orders:status_changed': 'Order status changed (subscribe with statusChanges: true)',
+                        'orders:batch': 'Several orders changed in one transaction (subscribe with rowEvents: true for individual events)',
+                        'subscription:<operation>': 'Change matching a filtered subscription (subscribe with filter: "...")',
+                        'subscription:entered': 'A row started matching a filtered subscription',
+                        'subscription:left': 'A row stopped matching a filtered subscription',
+                        'status_<status>:entered': 'An order moved into a subscribed status',
+                        'status_<status>:left': 'An order moved out of a subscribed status',
+                        'sync': 'Snapshot of the rows matching a filter, followed by subscription:* deltas (client → server)',
+                        'order:create / order:update / order:delete / order:bulkStatus / order:transition': 'Change orders, answered through the acknowledgement (client → server)',
+                        'order.created / order.<status> / order.deleted': 'Domain events from the outbox, e.g. order.shipped with previousStatus',
+                        'maintenance_banner': 'Maintenance banner set or cleared by an administrator',
+                        'broadcasts_paused / broadcasts_resumed': 'Change events are held during maintenance, then delivered',
+                        'disconnected_by_admin': 'An administrator is disconnecting this client',
+                        'latency:ack': 'Report that a change was rendered, with its trace and renderMs (client → server)',
+                        'resume': 'Replay changes after a given sequence number (client → server)'
                     }
                 }
             });
@@ -136,11 +214,73 @@ class RealtimeOrderServer {
                 throw new Error('Database connection failed');
             }
 
-            // Initialize WebSocket handler
-            this.wsHandler = new WebSocketHandler(this.server);
-            console.log('🔌 WebSocket handler initialized');
+            // Install or verify the change trigger on every tracked table. The
+            // replication source reads the WAL instead, so it only checks the tables.
+            const replication = getChangeSourceName() === 'replication';
+            const tables = replication
+                ? await verifyTables(getTrackedTables())
+                : await installTriggers(getTrackedTables());
+            if (tables.length === 0) {
+                throw new Error('No tracked tables are ready for change capture');
+            }
+
+            // The database enforces the order lifecycle too, keep its copy current
+            await syncTransitions();
+
+            // Initialize change log used to replay missed events
+            this.changeLog = new ChangeLog({
+                retentionHours: parseInt(process.env.CHANGE_LOG_RETENTION_HOURS) || 24
+            });
+
+            // Event sinks (EVENT_SINKS) get every change broadcast to clients
+            this.sinkBridge = new SinkBridge(getEnabledSinks());
+            await this.sinkBridge.start();
+
+            // Initialize WebSocket handler. In a cluster, rooms and broadcasts are
+            // shared between nodes through PostgreSQL, no extra service needed.
+            // Without the triggers nothing writes the change log, so there is no resume.
+            this.wsHandler = new WebSocketHandler(this.server, {
+                changeLog: replication ? null : this.changeLog,
+                snapshotReader: new SnapshotReader(),
+                orderService: new OrderService(),
+                sinks: this.sinkBridge.size > 0 ? this.sinkBridge : null,
+                maxSyncRows: parseInt(process.env.SYNC_MAX_ROWS) || undefined,
+                maxHeldTransactions: parseInt(process.env.BROADCAST_PAUSE_MAX_HELD) || undefined,
+                latencySampleSize: parseInt(process.env.LATENCY_SAMPLE_SIZE) || undefined,
+                rawWebSocketPath: process.env.RAW_WEBSOCKET_PATH || '/ws',
+                tables,
+                nodeId: this.nodeId,
+                adapter: this.clustered ? createAdapter(pool) : undefined,
+                outboundPolicy: process.env.OUTBOUND_POLICY,
+                outboundMaxQueue: parseInt(process.env.OUTBOUND_MAX_QUEUE) || undefined,
+                outboundHighWaterMark: parseInt(process.env.OUTBOUND_HIGH_WATER_MARK) || undefined,
+                deliveryAckTimeout: parseInt(process.env.DELIVERY_ACK_TIMEOUT) || undefined,
+                deliveryMaxClients: parseInt(process.env.DELIVERY_MAX_CLIENTS) || undefined,
+                deliveryRetentionHours: parseInt(process.env.DELIVERY_RETENTION_HOURS) || undefined
+            });
+            this.app.locals.wsHandler = this.wsHandler;
+            this.app.locals.adminControl = new AdminControl(this.wsHandler);
+            observeWebSocketHandler(this.wsHandler);
+            observePool(pool);
+            console.log(`🔌 WebSocket handler initialized${this.clustered ? ` (cluster node ${this.nodeId})` : ''}`);
+
+            // Domain events are relayed from the outbox by the leader
+            this.outboxRelay = new OutboxRelay(this.wsHandler, {
+                pollInterval: parseInt(process.env.OUTBOX_POLL_INTERVAL) || undefined,
+                retentionHours: parseInt(process.env.OUTBOX_RETENTION_HOURS) || undefined
+            });
 
-            // Initialize database listener
+            // Webhook deliveries are queued by the leader and sent by every node
+            this.webhookDispatcher = new WebhookDispatcher({
+                maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || undefined,
+                timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || undefined,
+                pollInterval: parseInt(process.env.WEBHOOK_POLL_INTERVAL) || undefined,
+                retentionDays: parseInt(process.env.WEBHOOK_RETENTION_DAYS) || undefined
+            });
+            this.app.locals.webhookDispatcher = this.webhookDispatcher;
+            this.webhookDispatcher.start();
+
+            // Initialize the change source (NOTIFY listener or replication slot reader)
             const dbConfig = {
                 host: process.env.DB_HOST || 'localhost',
                 port: process.env.DB_PORT || 5432,
@@ -149,15 +289,40 @@ class RealtimeOrderServer {
                 password: process.env.DB_PASSWORD || ''
             };
 
-            this.dbListener = new DatabaseListener(dbConfig);
-            
-            // Connect database listener and set up event handling
-            await this.dbListener.connect();
+            this.dbListener = createChangeSource(dbConfig, {
+                changeLog: this.changeLog,
+                tables
+            });
             
-            // Forward database changes to WebSocket handler
-            this.dbListener.on('dataChange', (changeData) => {
+            // Forward committed transactions to every node's WebSocket handler
+            this.dbListener.on('transaction', (transaction) => {
                 if (this.wsHandler) {
-                    this.wsHandler.handleDatabaseChange(changeData);
+                    this.wsHandler.publishTransaction(transaction);
+                }
+            });
+
+            // History rows arrive as changes too, but only count as part of their table's change
+            this.dbListener.on('dataChange', (change) => {
+                if (isHistoryTable(change.table)) return;
+                metrics.notificationsReceived.inc({ table: change.table, operation: String(change.operation).toLowerCase() });
+            });
+
+            this.dbListener.on('reconnecting', () => {
+                metrics.listenerReconnects.inc();
+            });
+
+            // Queue the change for the webhooks it matches
+            this.dbListener.on('dataChange', (change) => {
+                if (isHistoryTable(change.table)) return;
+                this.webhookDispatcher.handleChange(change).catch(err => {
+                    console.error('Error queueing webhook deliveries for change', change.sequence, ':', err.message);
+                });
+            });
+
+            // Changes may have been missed while the listener was down
+            this.dbListener.on('resyncRequired', (info) => {
+                if (this.wsHandler) {
+                    this.wsHandler.handleResyncRequired(info);
                 }
             });
 
@@ -167,6 +332,12 @@ class RealtimeOrderServer {
                 this.shutdown();
             });
 
+            if (this.clustered) {
+                await this.setupLeaderElection(dbConfig);
+            } else {
+                await this.becomeLeader();
+            }
+
             console.log('✅ All services initialized successfully');
 
         } catch (err) {
@@ -175,6 +346,57 @@ class RealtimeOrderServer {
         }
     }
 
+    // Only the node holding the leader lock consumes the change source; the others
+    // receive its transactions through the adapter and take over if it dies
+    async setupLeaderElection(dbConfig) {
+        // Remember how far the cluster got, so a node taking over replays only
+        // the changes committed while nobody was listening
+        const bounds = await this.changeLog.getBounds();
+        this.dbListener.resumeFrom(bounds.latest);
+
+        this.wsHandler.io.on('cluster:transaction', (transaction) => {
+            transaction.events.forEach(event => this.dbListener.markSeen(event.sequence));
+        });
+
+        this.leaderElector = new LeaderElector(dbConfig, {
+            nodeId: this.nodeId,
+            checkInterval: parseInt(process.env.LEADER_CHECK_INTERVAL) || 5000
+        });
+
+        this.leaderElector.on('elected', () => {
+            this.becomeLeader().catch(err => {
+                console.error('❌ Failed to start the change source as leader:', err.message);
+            });
+        });
+
+        this.leaderElector.on('demoted', () => {
+            this.stepDown().catch(err => {
+                console.error('Error stepping down as leader:', err);
+            });
+        });
+
+        await this.leaderElector.start();
+
+        if (!this.leaderElector.isLeader) {
+            console.log(`👥 Node ${this.nodeId} running as follower`);
+        }
+    }
+
+    // Consume the change source, relay the outbox and trim the change log
+    async becomeLeader() {
+        this.wsHandler.isLeader = true;
+        this.changeLog.startRetention();
+        this.outboxRelay.start();
+        await this.dbListener.connect();
+    }
+
+    async stepDown() {
+        this.wsHandler.isLeader = false;
+        this.changeLog.stopRetention();
+        this.outboxRelay.stop();
+        await this.dbListener.disconnect();
+    }
+
     setupErrorHandlers() {
         // Express error handler
         this.app.use((err, req, res, next) => {
@@ -217,6 +439,7 @@ class RealtimeOrderServer {
                 console.log(`📱 Web client: http://localhost:${this.port}`);
                 console.log(`🔧 API docs: http://localhost:${this.port}/api`);
                 console.log(`❤️  Health check: http://localhost:${this.port}/health`);
+                console.log(`📈 Metrics: http://localhost:${this.port}/metrics`);
                 console.log(`\n📊 Environment: ${process.env.NODE_ENV || 'development'}`);
             });
         } catch (err) {
@@ -229,11 +452,37 @@ class RealtimeOrderServer {
         console.log('🔄 Shutting down server...');
         
         try {
+            // Stop relaying domain events before the clients go, undispatched
+            // ones stay in the outbox
+            if (this.outboxRelay) {
+                this.outboxRelay.stop();
+            }
+
             // Close WebSocket connections
             if (this.wsHandler) {
                 await this.wsHandler.shutdown();
             }
 
+            // Write out what the event sinks still have queued
+            if (this.sinkBridge) {
+                await this.sinkBridge.stop();
+            }
+
+            // Stop sending webhooks, undelivered ones stay queued
+            if (this.webhookDispatcher) {
+                this.webhookDispatcher.stop();
+            }
+
+            // Release the leader lock so another node takes over right away
+            if (this.leaderElector) {
+                await this.leaderElector.stop();
+            }
+
+            // Stop change log retention
+            if (this.changeLog) {
+                this.changeLog.stopRetention();
+            }
+
             // Close database listener
             if (this.dbListener) {
                 await this.dbListener.disconnect();
@@ -0,0 +1,127 @@
+const ROLES = require('../config/roles');
+
+// Applies the role rules from config/roles.js to outgoing change events
+class AccessControl {
+    constructor(roles = ROLES) {
+        this.roles = roles;
+    }
+
+    // The rule a role has for a table, or null when the table is not visible
+    getRule(identity, tableName) {
+        const role = identity && this.roles[identity.role];
+        if (!role || !role.tables) return null;
+
+        return role.tables[tableName] || role.tables['*'] || null;
+    }
+
+    // True when the row belongs to the identity under the rule's scope
+    inScope(identity, rule, row) {
+        if (!rule.scope) return true;
+        if (!row) return false;
+
+        const expected = identity[rule.scope.claim];
+        return expected !== undefined && expected !== null && String(row[rule.scope.column]) === String(expected);
+    }
+
+    // True when the identity may manage connections through the admin namespace and endpoints
+    isAdmin(identity) {
+        const role = identity && this.roles[identity.role];
+        return Boolean(role && role.admin);
+    }
+
+    // True when the identity may make this kind of change to the table
+    canMutate(identity, tableName, mutation) {
+        const rule = this.getRule(identity, tableName);
+        return Boolean(rule && rule.mutations && rule.mutations.includes(mutation));
+    }
+
+    // Fields among `fields` the identity may not write: those its role can't see
+    hiddenFields(identity, tableName, fields) {
+        const rule = this.getRule(identity, tableName);
+        if (!rule) return fields;
+        if (rule.fields === '*') return [];
+
+        return fields.filter(field => !rule.fields.includes(field));
+    }
+
+    projectRow(row, fields) {
+        if (!row || fields === '*') return row;
+
+        return fields.reduce((projected, field) => {
+            if (field in row) projected[field] = row[field];
+            return projected;
+        }, {});
+    }
+
+    // Return the message as the identity may see it, or null when it must not
+    // receive it at all. Updates are delivered when either the previous or the
+    // new row is in scope, so clients also see rows leaving their scope.
+    filterMessage(identity, message) {
+        const rule = this.getRule(identity, message.table);
+        if (!rule) return null;
+
+        if (rule.operations && !rule.operations.includes(message.operation)) {
+            return null;
+        }
+
+        if (!this.inScope(identity, rule, message.data) && !this.inScope(identity, rule, message.previous)) {
+            return null;
+        }
+
+        if (rule.fields === '*') return message;
+
+        const view = {
+            ...message,
+            data: this.projectRow(message.data, rule.fields)
+        };
+
+        if (message.previous) {
+            view.previous = this.projectRow(message.previous, rule.fields);
+        }
+
+        if (message.changedFields) {
+            view.changedFields = message.changedFields.filter(field => rule.fields.includes(field));
+
+            // Nothing this role can see changed
+            if (view.changedFields.length === 0) return null;
+        }
+
+        if (message.history && message.history.changes) {
+            view.history = {
+                ...message.history,
+                changes: this.projectRow(message.history.changes, rule.fields)
+            };
+        }
+
+        return view;
+    }
+
+    // Return a domain event as the identity may see it, or null. Events about a
+    // row follow the role's rule for its table; the rest need a '*' rule.
+    filterEvent(identity, event) {
+        const rule = this.getRule(identity, event.table);
+        if (!rule) return null;
+
+        if (!this.inScope(identity, rule, event.data)) return null;
+
+        if (rule.fields === '*' || !event.data) return event;
+
+        return {
+            ...event,
+            data: this.projectRow(event.data, rule.fields)
+        };
+    }
+
+    // Filter every change of a batch, or null when none are visible
+    filterBatch(identity, batch) {
+        const changes = batch.changes
+            .map(message => this.filterMessage(identity, message))
+            .filter(Boolean);
+
+        if (changes.length === 0) return null;
+
+        return { ...batch, count: changes.length, changes };
+    }
+}
+
+module.exports = AccessControl;
\ No newline at end of file
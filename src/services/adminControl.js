@@ -0,0 +1,200 @@
+const { socketAuthMiddleware } = require('./auth');
+const { ServiceError } = require('./orderService');
+
+const BANNER_LEVELS = ['info', 'warning', 'critical'];
+const MAX_BANNER_LENGTH = 500;
+
+// Admin namespace events, answered through the acknowledgement
+const COMMANDS = {
+    'status': 'getStatus',
+    'clients:list': 'listClients',
+    'client:disconnect': 'disconnectClient',
+    'client:throttle': 'throttleClient',
+    'banner:set': 'setBanner',
+    'banner:clear': 'clearBanner',
+    'broadcasts:pause': 'pauseBroadcasts',
+    'broadcasts:resume': 'resumeBroadcasts'
+};
+
+// Live connection management for the admin role, shared by the `/admin` Socket.IO
+// namespace and the /api/admin endpoints. Every command runs on all nodes of the
+// cluster through WebSocketHandler.runAdminAction(), and admins connected to the
+// namespace get a `state` event whenever the pause or banner state changes.
+class AdminControl {
+    constructor(handler, options = {}) {
+        this.handler = handler;
+        this.namespace = handler.io.of(options.path || '/admin');
+        this.setupNamespace();
+    }
+
+    setupNamespace() {
+        this.namespace.use(socketAuthMiddleware);
+        this.namespace.use((socket, next) => {
+            if (this.handler.accessControl.isAdmin(socket.data.identity)) return next();
+
+            const err = new Error('forbidden');
+            err.data = { message: 'The admin namespace requires the admin role' };
+            next(err);
+        });
+
+        this.namespace.on('connection', (socket) => {
+            const { identity } = socket.data;
+            console.log(`🛠️  Admin connected: ${identity.id} (${socket.id})`);
+
+            Object.keys(COMMANDS).forEach(event => {
+                socket.on(event, async (data, callback) => {
+                    if (typeof data === 'function') {
+                        callback = data;
+                        data = {};
+                    }
+
+                    const result = await this.run(COMMANDS[event], data || {}, identity);
+                    if (typeof callback === 'function') callback(result);
+                });
+            });
+
+            socket.on('disconnect', (reason) => {
+                console.log(`🛠️  Admin disconnected: ${identity.id} (${reason})`);
+            });
+        });
+    }
+
+    // Run a command for the namespace, turning refusals into { success: false } results
+    async run(method, data, identity) {
+        try {
+            return await this[method](data, identity);
+        } catch (err) {
+            if (err instanceof ServiceError) {
+                return { success: false, status: err.status, error: err.message, ...err.details };
+            }
+
+            console.error(`Error running admin command ${method}:`, err);
+            return { success: false, status: 500, error: 'Admin command failed', message: err.message };
+        }
+    }
+
+    async getStatus() {
+        const nodes = await this.handler.runAdminAction({ type: 'status' });
+        const states = nodes.map(node => node.result);
+
+        return {
+            success: true,
+            paused: states.some(state => state.paused),
+            banner: this.handler.banner,
+            nodes: states
+        };
+    }
+
+    // Clients of every node with their subscriptions and delivery lag
+    async listClients() {
+        const nodes = await this.handler.runAdminAction({ type: 'clients' });
+        const clients = nodes.reduce((all, node) => all.concat(node.result || []), []);
+
+        return {
+            success: true,
+            count: clients.length,
+            clients
+        };
+    }
+
+    async disconnectClient({ clientId, reason } = {}, identity) {
+        requireClientId(clientId);
+
+        const results = await this.handler.runAdminAction({
+            type: 'disconnect',
+            clientId,
+            reason: typeof reason === 'string' ? reason : null
+        });
+        const node = results.find(entry => entry.result === 'ok');
+        if (!node) {
+            throw new ServiceError('Client not found', 404, { clientId });
+        }
+
+        console.log(`🛠️  ${identity.id} disconnected client ${clientId} on node ${node.nodeId}`);
+        return { success: true, clientId, nodeId: node.nodeId };
+    }
+
+    // Limit a client to `eventsPerSecond`; null or 0 lifts the limit
+    async throttleClient({ clientId, eventsPerSecond = null } = {}, identity) {
+        requireClientId(clientId);
+
+        const rate = eventsPerSecond === null || eventsPerSecond === 0 ? null : Number(eventsPerSecond);
+        if (rate !== null && !(rate > 0 && Number.isFinite(rate))) {
+            throw new ServiceError('eventsPerSecond must be a positive number, or null to lift the throttle');
+        }
+
+        const results = await this.handler.runAdminAction({ type: 'throttle', clientId, rate });
+        const node = results.find(entry => entry.result === 'ok');
+        if (!node) {
+            if (results.some(entry => entry.result === 'unsupported')) {
+                throw new ServiceError('Only Socket.IO clients with broadcast delivery can be throttled', 409, { clientId });
+            }
+            throw new ServiceError('Client not found', 404, { clientId });
+        }
+
+        console.log(`🛠️  ${identity.id} set the throttle of client ${clientId} to ${rate || 'unlimited'}`);
+        return { success: true, clientId, nodeId: node.nodeId, eventsPerSecond: rate };
+    }
+
+    async setBanner({ message, level = 'info' } = {}, identity) {
+        if (typeof message !== 'string' || !message.trim() || message.length > MAX_BANNER_LENGTH) {
+            throw new ServiceError(`message must be a non-empty string of at most ${MAX_BANNER_LENGTH} characters`);
+        }
+        if (!BANNER_LEVELS.includes(level)) {
+            throw new ServiceError(`level must be one of: ${BANNER_LEVELS.join(', ')}`);
+        }
+
+        const banner = {
+            message: message.trim(),
+            level,
+            setAt: new Date(),
+            setBy: identity.id
+        };
+
+        await this.handler.runAdminAction({ type: 'banner', banner });
+        console.log(`📢 ${identity.id} set the maintenance banner: ${banner.message}`);
+        await this.publishState();
+
+        return { success: true, banner };
+    }
+
+    async clearBanner(data, identity) {
+        await this.handler.runAdminAction({ type: 'banner', banner: null });
+        console.log(`📢 ${identity.id} cleared the maintenance banner`);
+        await this.publishState();
+
+        return { success: true, banner: null };
+    }
+
+    async pauseBroadcasts({ reason } = {}, identity) {
+        const results = await this.handler.runAdminAction({
+            type: 'pause',
+            reason: typeof reason === 'string' ? reason : null
+        });
+        console.log(`⏸️  ${identity.id} paused broadcasts`);
+        await this.publishState();
+
+        return { success: true, paused: true, changed: results.some(entry => entry.result) };
+    }
+
+    async resumeBroadcasts(data, identity) {
+        const results = await this.handler.runAdminAction({ type: 'resume' });
+        console.log(`▶️  ${identity.id} resumed broadcasts`);
+        await this.publishState();
+
+        return { success: true, paused: false, changed: results.some(entry => entry.result) };
+    }
+
+    // Tell every connected admin about the new pause and banner state
+    async publishState() {
+        this.namespace.emit('state', await this.getStatus());
+    }
+}
+
+function requireClientId(clientId) {
+    if (typeof clientId !== 'string' || !clientId) {
+        throw new ServiceError('clientId is required');
+    }
+}
+
+module.exports = AdminControl;
\ No newline at end of file
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const ROLES = require('../config/roles');
+require('dotenv').config();
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+function sign(data, secret) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// Issue a signed token: base64url(claims).base64url(hmac-sha256)
+function signToken(claims, secret = process.env.AUTH_SECRET, ttlSeconds = 24 * 60 * 60) {
+    if (!secret) {
+        throw new Error('AUTH_SECRET is not configured');
+    }
+
+    const payload = base64url(JSON.stringify({
+        ...claims,
+        exp: Math.floor(Date.now() / 1000) + ttlSeconds
+    }));
+
+    return `${payload}.${sign(payload, secret)}`;
+}
+
+// Verify a token and return its claims, or null when it is invalid or expired
+function verifyToken(token, secret = process.env.AUTH_SECRET) {
+    if (!secret || typeof token !== 'string') return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload, secret));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        if (claims.exp && claims.exp < Date.now() / 1000) return null;
+        return claims;
+    } catch (err) {
+        return null;
+    }
+}
+
+// API_KEYS=key:role[:customerName],... for services that can't refresh tokens
+function getApiKeys() {
+    return (process.env.API_KEYS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const [key, role, customerName] = entry.split(':');
+            return { key, role, customerName };
+        });
+}
+
+function isAuthEnabled() {
+    return Boolean(process.env.AUTH_SECRET) || getApiKeys().length > 0;
+}
+
+// Role of every client while authentication is disabled. Defaults to customer,
+// which sees no orders without a customer claim and can't change any; granting
+// more (e.g. admin for local development) must be asked for.
+function getAnonymousRole() {
+    const role = process.env.AUTH_ANONYMOUS_ROLE || 'customer';
+
+    if (!ROLES[role]) {
+        throw new Error(`Unknown AUTH_ANONYMOUS_ROLE: ${role}, expected one of ${Object.keys(ROLES).join(', ')}`);
+    }
+
+    return role;
+}
+
+// Resolve credentials to an identity ({ id, role, customerName, method }), or null.
+// When no credentials are configured at all, everyone gets the anonymous role.
+function authenticate({ token, apiKey } = {}) {
+    if (!isAuthEnabled()) {
+        return { id: 'anonymous', role: getAnonymousRole(), method: 'none' };
+    }
+
+    let identity = null;
+
+    if (token) {
+        const claims = verifyToken(token);
+        if (claims) {
+            identity = { id: claims.sub, role: claims.role, customerName: claims.customerName, method: 'token' };
+        }
+    } else if (apiKey) {
+        const match = getApiKeys().find(entry => {
+            const expected = Buffer.from(entry.key);
+            const actual = Buffer.from(String(apiKey));
+            return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+        });
+        if (match) {
+            identity = { id: `api-key:${match.key.slice(0, 4)}`, role: match.role, customerName: match.customerName, method: 'api_key' };
+        }
+    }
+
+    if (!identity || !ROLES[identity.role]) {
+        return null;
+    }
+
+    return identity;
+}
+
+// Resolve the credentials of an HTTP request (Express or a raw upgrade request):
+// Authorization: Bearer or ?token=, X-API-Key or ?apiKey=
+function authenticateRequest(req) {
+    const url = new URL(req.url, 'http://localhost');
+    const authorization = req.headers.authorization || '';
+
+    return authenticate({
+        token: authorization.startsWith('Bearer ') ? authorization.slice(7) : url.searchParams.get('token'),
+        apiKey: req.headers['x-api-key'] || url.searchParams.get('apiKey')
+    });
+}
+
+// Socket.IO middleware: validate the handshake and attach the identity to socket.data
+function socketAuthMiddleware(socket, next) {
+    const { auth = {}, query = {}, headers = {} } = socket.handshake;
+
+    const identity = authenticate({
+        token: auth.token || query.token,
+        apiKey: auth.apiKey || headers['x-api-key']
+    });
+
+    if (!identity) {
+        const err = new Error('unauthorized');
+        err.data = { message: 'A valid token or API key is required' };
+        return next(err);
+    }
+
+    socket.data.identity = identity;
+    next();
+}
+
+module.exports = {
+    signToken,
+    verifyToken,
+    authenticate,
+    authenticateRequest,
+    isAuthEnabled,
+    getAnonymousRole,
+    socketAuthMiddleware
+};
+
+// Issue a token from the command line: node src/services/auth.js <role> [subject] [customerName]
+if (require.main === module) {
+    const [role, sub = role, customerName] = process.argv.slice(2);
+
+    if (!role || !ROLES[role]) {
+        console.log(`Usage: node src/services/auth.js <${Object.keys(ROLES).join('|')}> [subject] [customerName]`);
+        process.exit(1);
+    }
+
+    console.log(signToken({ sub, role, customerName }));
+}
\ No newline at end of file
@@ -0,0 +1,119 @@
+const { pool } = require('../config/database');
+
+const CHANGE_COLUMNS = 'seq, table_name, operation, data, old_data, txid, request_id, extract(epoch from created_at) AS epoch';
+
+class ChangeLog {
+    constructor(options = {}) {
+        this.pool = options.pool || pool;
+        this.retentionHours = options.retentionHours || 24;
+        this.maxReplay = options.maxReplay || 1000;
+        this.trimInterval = options.trimInterval || 15 * 60 * 1000; // 15 minutes
+        this.trimTimer = null;
+    }
+
+    // Convert a change_log row into the same payload shape sent by the notify trigger
+    toPayload(row) {
+        return {
+            operation: row.operation,
+            table: row.table_name,
+            sequence: parseInt(row.seq),
+            data: row.data,
+            old: row.old_data,
+            txid: row.txid === null ? null : parseInt(row.txid),
+            requestId: row.request_id,
+            timestamp: parseFloat(row.epoch)
+        };
+    }
+
+    async getBounds() {
+        const result = await this.pool.query(
+            'SELECT MIN(seq) AS oldest, MAX(seq) AS latest FROM change_log'
+        );
+        const { oldest, latest } = result.rows[0];
+
+        return {
+            oldest: oldest === null ? null : parseInt(oldest),
+            latest: latest === null ? null : parseInt(latest)
+        };
+    }
+
+    // Get every change after the given sequence number, in order.
+    // Returns { status: 'too_old' } when the log can no longer fill the gap
+    // and the caller has to take a fresh snapshot instead.
+    async getChangesSince(lastSequence) {
+        const since = parseInt(lastSequence);
+        const bounds = await this.getBounds();
+
+        if (isNaN(since) || since < 0 || bounds.latest === null || since > bounds.latest) {
+            return { status: 'too_old', ...bounds };
+        }
+
+        // Events between the client's position and the oldest retained entry were trimmed
+        if (since < bounds.oldest - 1) {
+            return { status: 'too_old', ...bounds };
+        }
+
+        if (bounds.latest - since > this.maxReplay) {
+            return { status: 'too_old', ...bounds };
+        }
+
+        const result = await this.pool.query(`
+            SELECT ${CHANGE_COLUMNS}
+            FROM change_log
+            WHERE seq > $1
+            ORDER BY seq ASC
+        `, [since]);
+
+        return {
+            status: 'ok',
+            changes: result.rows.map(row => this.toPayload(row)),
+            ...bounds
+        };
+    }
+
+    // Get a single change by its sequence number
+    async getChange(sequence) {
+        const result = await this.pool.query(
+            `SELECT ${CHANGE_COLUMNS} FROM change_log WHERE seq = $1`,
+            [sequence]
+        );
+
+        return result.rows.length > 0 ? this.toPayload(result.rows[0]) : null;
+    }
+
+    // Delete entries older than the retention window. The newest entry is always
+    // kept so the current position can still be told apart from a trimmed gap.
+    async trim() {
+        try {
+            const result = await this.pool.query(`
+                DELETE FROM change_log
+                WHERE created_at < NOW() - make_interval(hours => $1)
+                  AND seq < (SELECT MAX(seq) FROM change_log)
+            `, [this.retentionHours]);
+
+            if (result.rowCount > 0) {
+                console.log(`🧹 Trimmed ${result.rowCount} change log entries older than ${this.retentionHours}h`);
+            }
+
+            return result.rowCount;
+        } catch (err) {
+            console.error('Error trimming change log:', err);
+            return 0;
+        }
+    }
+
+    startRetention() {
+        this.stopRetention();
+        this.trim();
+        this.trimTimer = setInterval(() => this.trim(), this.trimInterval);
+    }
+
+    stopRetention() {
+        if (this.trimTimer) {
+            clearInterval(this.trimTimer);
+            this.trimTimer = null;
+        }
+    }
+}
+
+module.exports = ChangeLog;
\ No newline at end of file
@@ -0,0 +1,38 @@
+const DatabaseListener = require('./dbListener');
+const ReplicationListener = require('./replicationListener');
+
+// Name of the change source selected with CHANGE_SOURCE:
+//   notify      - LISTEN/NOTIFY fed by the change triggers (default)
+//   replication - logical replication slot decoded with wal2json
+function getChangeSourceName() {
+    return (process.env.CHANGE_SOURCE || 'notify').toLowerCase();
+}
+
+// Create the change source selected with CHANGE_SOURCE
+function createChangeSource(dbConfig, options = {}) {
+    const source = getChangeSourceName();
+
+    // Listeners keep retrying forever unless a limit is configured
+    options = {
+        maxReconnectAttempts: parseInt(process.env.LISTENER_MAX_RECONNECT_ATTEMPTS) || Infinity,
+        ...options
+    };
+
+    switch (source) {
+    case 'notify':
+        return new DatabaseListener(dbConfig, options);
+    case 'replication':
+        return new ReplicationListener(dbConfig, {
+            ...options,
+            slotName: process.env.REPLICATION_SLOT || 'realtime_orders',
+            pollInterval: parseInt(process.env.REPLICATION_POLL_INTERVAL) || 500
+        });
+    default:
+        throw new Error(`Unknown CHANGE_SOURCE: ${source} (expected notify or replication)`);
+    }
+}
+
+module.exports = {
+    createChangeSource,
+    getChangeSourceName
+};
\ No newline at end of file
@@ -1,96 +1,382 @@
-const { Pool } = require('pg');
+const { Client } = require('pg');
 const EventEmitter = require('events');
+const { TABLES, normalizeTable } = require('../config/tables');
 
 class DatabaseListener extends EventEmitter {
-    constructor(dbConfig) {
+    constructor(dbConfig, options = {}) {
         super();
         this.dbConfig = dbConfig;
+        this.changeLog = options.changeLog || null;
+        this.tables = options.tables || [normalizeTable('orders', TABLES.orders)];
         this.client = null;
+        this.processing = Promise.resolve();
+        this.pendingTransaction = null;
+        this.transactionTimeout = options.transactionTimeout || 1000;
+        this.commitOrder = 0;
         this.isConnected = false;
+        this.hasConnected = false;
+        this.reconnecting = false;
+        this.stopped = false;
+        this.disconnectedAt = null;
         this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = 10;
+        this.maxReconnectAttempts = options.maxReconnectAttempts || Infinity;
         this.reconnectDelay = 1000; // Start with 1 second
+
+        // Sequence numbers already emitted, used to skip duplicates after a resync.
+        // Transactions commit out of sequence order, so a window is kept rather than a high-water mark.
+        this.lastSequence = null;
+        this.resumeFloor = null;
+        this.seenSequences = new Set();
+        this.seenWindow = options.seenWindow || 5000;
+        this.recoveryOverlap = options.recoveryOverlap || 100;
     }
 
     async connect() {
+        this.stopped = false;
+        const isReconnect = this.hasConnected || this.lastSequence !== null;
+        // Settles the recovery step queued below, with whether LISTEN succeeded
+        let listening = null;
+
         try {
             // Create a dedicated client for listening (separate from pool)
-            this.client = new Pool({
-                ...this.dbConfig,
-                max: 1, // Only need one connection for listening
-            });
-
-            const listenerClient = await this.client.connect();
-            
-            // Set up notification listener
-            await listenerClient.query('LISTEN orders_change');
-            
-            // Handle notifications
-            listenerClient.on('notification', (msg) => {
-                try {
-                    const payload = JSON.parse(msg.payload);
-                    console.log('📢 Database notification received:', {
-                        channel: msg.channel,
-                        operation: payload.operation,
-                        table: payload.table,
-                        id: payload.data.id
-                    });
-                    
-                    // Emit event for the WebSocket handler
-                    this.emit('dataChange', payload);
-                } catch (err) {
-                    console.error('Error parsing notification payload:', err);
-                }
-            });
+            const client = new Client(this.dbConfig);
+            this.client = client;
 
             // Handle connection events
-            listenerClient.on('error', (err) => {
+            client.on('error', (err) => {
                 console.error('Database listener error:', err);
-                this.handleDisconnection();
+                this.handleDisconnection(client);
             });
 
-            listenerClient.on('end', () => {
+            client.on('end', () => {
                 console.log('Database listener connection ended');
-                this.handleDisconnection();
+                this.handleDisconnection(client);
             });
 
+            await client.connect();
+
+            // After a reconnect, catch up on what happened while LISTEN was down.
+            // This is queued before any notification so live events follow the replay.
+            const ready = new Promise(resolve => { listening = resolve; });
+            if (isReconnect) {
+                // Without LISTEN there is nothing to recover for, the next connect() retries
+                this.processing = this.processing
+                    .then(() => ready)
+                    .then(listened => listened && this.recoverMissedChanges())
+                    .catch(err => console.error('Error recovering missed changes:', err));
+            }
+
+            // Handle notifications one at a time so hydrated events keep their order
+            client.on('notification', (msg) => {
+                this.processing = this.processing
+                    .then(() => this.handleNotification(msg))
+                    .catch(err => console.error('Error handling notification:', err));
+            });
+
+            // Set up a notification listener for every tracked table
+            for (const table of this.tables) {
+                await client.query(`LISTEN ${client.escapeIdentifier(table.channel)}`);
+            }
+            listening(true);
+
             this.isConnected = true;
+            this.hasConnected = true;
             this.reconnectAttempts = 0;
-            console.log('🔗 Database listener connected and listening for changes');
+            console.log('🔗 Database listener connected and listening on:', this.tables.map(t => t.channel).join(', '));
+
+            if (isReconnect) {
+                this.emit('reconnected', { disconnectedAt: this.disconnectedAt, reconnectedAt: new Date() });
+            }
             
-            return listenerClient;
+            return client;
         } catch (err) {
+            // Don't leave later notifications queued behind a recovery that never runs
+            if (listening) listening(false);
+
             console.error('Failed to connect database listener:', err);
-            this.handleDisconnection();
+            this.handleDisconnection(this.client);
             throw err;
         }
     }
 
-    handleDisconnection() {
+    // Replay changes from the change log that were committed while LISTEN was down.
+    // When the log can't fill the gap, consumers are told to resynchronise instead.
+    async recoverMissedChanges() {
+        const info = { disconnectedAt: this.disconnectedAt, reconnectedAt: new Date() };
+
+        if (!this.changeLog || this.lastSequence === null) {
+            this.emit('resyncRequired', { ...info, reason: 'no_position' });
+            return;
+        }
+
+        const bounds = await this.changeLog.getBounds();
+        if (bounds.oldest !== null && this.lastSequence < bounds.oldest - 1) {
+            this.emit('resyncRequired', { ...info, reason: 'change_log_trimmed' });
+            return;
+        }
+
+        // Start a little before the last sequence seen to catch transactions that
+        // committed after it but were numbered before it
+        const since = Math.max(this.lastSequence - this.recoveryOverlap, bounds.oldest === null ? 0 : bounds.oldest - 1);
+        const result = await this.changeLog.getChangesSince(since);
+
+        if (result.status !== 'ok') {
+            this.emit('resyncRequired', { ...info, reason: 'too_many_changes' });
+            return;
+        }
+
+        const missed = result.changes.filter(change =>
+            !this.seenSequences.has(change.sequence) &&
+            (this.resumeFloor === null || change.sequence > this.resumeFloor)
+        );
+
+        // Group by transaction in order of first appearance
+        const transactions = new Map();
+        missed.forEach(change => {
+            const key = change.txid || `seq-${change.sequence}`;
+            if (!transactions.has(key)) transactions.set(key, []);
+            transactions.get(key).push(change);
+        });
+
+        this.flushTransaction();
+        transactions.forEach(events => {
+            events.forEach(change => {
+                this.markSeen(change.sequence);
+                this.emit('dataChange', change);
+            });
+            this.emitTransaction({ txid: events[0].txid, events, recovered: true });
+        });
+
+        console.log(`⏪ Recovered ${missed.length} changes missed while the listener was down`);
+        this.emit('resynced', { ...info, recovered: missed.length });
+    }
+
+    // Treat every change up to `sequence` as delivered elsewhere (e.g. by the
+    // previous leader) and replay what follows it on the next connect()
+    resumeFrom(sequence) {
+        if (sequence === undefined || sequence === null) return;
+
+        this.resumeFloor = sequence;
+        if (this.lastSequence === null || sequence > this.lastSequence) {
+            this.lastSequence = sequence;
+        }
+    }
+
+    markSeen(sequence) {
+        if (sequence === undefined || sequence === null) return;
+
+        this.seenSequences.add(sequence);
+        if (this.seenSequences.size > this.seenWindow) {
+            // Sets iterate in insertion order, so this drops the oldest entry
+            this.seenSequences.delete(this.seenSequences.values().next().value);
+        }
+
+        if (this.lastSequence === null || sequence > this.lastSequence) {
+            this.lastSequence = sequence;
+        }
+    }
+
+    async handleNotification(msg) {
+        let payload;
+        try {
+            payload = JSON.parse(msg.payload);
+        } catch (err) {
+            console.error('Error parsing notification payload:', err);
+            return;
+        }
+        const receivedAt = Date.now();
+
+        if (payload.type === 'commit') {
+            this.completeTransaction(payload);
+            return;
+        }
+
+        // Already delivered by a resync
+        if (payload.sequence && this.seenSequences.has(payload.sequence)) {
+            return;
+        }
+
+        if (payload.truncated) {
+            payload = await this.hydrate(payload);
+        }
+
+        this.markSeen(payload.sequence);
+        payload.receivedAt = receivedAt;
+
+        console.log('📢 Database notification received:', {
+            channel: msg.channel,
+            operation: payload.operation,
+            table: payload.table,
+            sequence: payload.sequence,
+            txid: payload.txid,
+            id: payload.id
+        });
+
+        // Emit the single change right away for consumers that don't need grouping
+        this.emit('dataChange', payload);
+        this.bufferChange(payload);
+    }
+
+    // Notifications of one transaction are delivered together, in order, once it
+    // commits. Changes are buffered until the transaction's commit marker arrives.
+    bufferChange(payload) {
+        // Payloads without a transaction id can't be grouped
+        if (!payload.txid) {
+            this.flushTransaction();
+            this.emitTransaction({ txid: null, events: [payload] });
+            return;
+        }
+
+        // A change from another transaction means the previous one is complete
+        if (this.pendingTransaction && this.pendingTransaction.txid !== payload.txid) {
+            this.flushTransaction();
+        }
+
+        if (!this.pendingTransaction) {
+            this.pendingTransaction = { txid: payload.txid, events: [], timer: null };
+        }
+
+        this.pendingTransaction.events.push(payload);
+
+        // Don't hold changes forever if the commit marker never arrives
+        clearTimeout(this.pendingTransaction.timer);
+        this.pendingTransaction.timer = setTimeout(() => {
+            this.processing = this.processing
+                .then(() => this.flushTransaction())
+                .catch(err => console.error('Error flushing transaction:', err));
+        }, this.transactionTimeout);
+    }
+
+    completeTransaction(marker) {
+        const transaction = this.pendingTransaction;
+
+        if (!transaction || transaction.txid !== marker.txid) {
+            return;
+        }
+
+        if (transaction.events.length !== marker.count) {
+            console.warn(`⚠️  Transaction ${marker.txid} committed ${marker.count} changes but ${transaction.events.length} were received`);
+        }
+
+        this.flushTransaction(marker.timestamp);
+    }
+
+    flushTransaction(committedAt) {
+        const transaction = this.pendingTransaction;
+        if (!transaction) return;
+
+        clearTimeout(transaction.timer);
+        this.pendingTransaction = null;
+
+        this.emitTransaction({
+            txid: transaction.txid,
+            committedAt,
+            events: transaction.events
+        });
+    }
+
+    emitTransaction(transaction) {
+        this.emit('transaction', {
+            ...transaction,
+            commitOrder: ++this.commitOrder
+        });
+    }
+
+    // Rows too large for a NOTIFY payload arrive as an envelope without data.
+    // The full row (the last known row for deletes) is read back from the change log.
+    async hydrate(envelope) {
+        const { truncated, id, ...change } = envelope;
+
+        if (this.changeLog && envelope.sequence) {
+            const logged = await this.changeLog.getChange(envelope.sequence);
+            if (logged) {
+                return { ...change, id, data: logged.data, old: logged.old };
+            }
+        }
+
+        const table = this.tables.find(t => t.name === envelope.table) || normalizeTable(envelope.table);
+
+        // Without a change log entry the current row is the best we can do
+        if (envelope.operation !== 'DELETE' && this.client) {
+            const columns = table.columns === '*'
+                ? '*'
+                : table.columns.map(column => this.client.escapeIdentifier(column)).join(', ');
+            const result = await this.client.query(
+                `SELECT ${columns} FROM ${this.client.escapeIdentifier(table.name)} ` +
+                `WHERE ${this.client.escapeIdentifier(table.primaryKey)} = $1`,
+                [id]
+            );
+            if (result.rows.length > 0) {
+                return { ...change, id, data: result.rows[0] };
+            }
+        }
+
+        console.warn(`⚠️  Could not hydrate ${envelope.operation} on ${envelope.table} #${id}, sending id only`);
+        return { ...change, id, data: { [table.primaryKey]: id } };
+    }
+
+    // Stop using a client: drop its listeners and close it without waiting on a dead socket
+    closeClient(client) {
+        if (!client) return;
+
+        if (this.client === client) {
+            this.client = null;
+        }
+
+        client.removeAllListeners('notification');
+        client.removeAllListeners('end');
+        client.removeAllListeners('error');
+        client.on('error', () => {});
+        client.end().catch(() => {});
+    }
+
+    handleDisconnection(client) {
+        // Ignore events from clients we already replaced, and repeated error/end
+        // events while a reconnect is already scheduled
+        if (this.stopped || this.reconnecting || (client && client !== this.client)) return;
+
+        this.reconnecting = true;
+        if (this.isConnected) {
+            this.disconnectedAt = new Date();
+        }
         this.isConnected = false;
+        this.closeClient(client);
+        this.emit('disconnected', { disconnectedAt: this.disconnectedAt });
         
         if (this.reconnectAttempts < this.maxReconnectAttempts) {
             this.reconnectAttempts++;
             const delay = Math.min(this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1), 30000);
+            const limit = this.maxReconnectAttempts === Infinity ? '∞' : this.maxReconnectAttempts;
             
-            console.log(`🔄 Attempting to reconnect database listener (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts}) in ${delay}ms`);
+            console.log(`🔄 Attempting to reconnect database listener (attempt ${this.reconnectAttempts}/${limit}) in ${delay}ms`);
+            this.emit('reconnecting', { attempt: this.reconnectAttempts, delay });
             
             setTimeout(() => {
+                this.reconnecting = false;
+                if (this.stopped) return;
+
                 this.connect().catch(err => {
                     console.error('Reconnection attempt failed:', err);
                 });
             }, delay);
         } else {
+            this.reconnecting = false;
             console.error('❌ Max reconnection attempts reached. Database listener stopped.');
             this.emit('maxReconnectAttemptsReached');
         }
     }
 
     async disconnect() {
+        this.stopped = true;
+        this.isConnected = false;
+        this.flushTransaction();
+
         if (this.client) {
+            const client = this.client;
+            this.client = null;
+            client.removeAllListeners('end');
             try {
-                await this.client.end();
-                this.isConnected = false;
+                await client.end();
                 console.log('Database listener disconnected');
             } catch (err) {
                 console.error('Error disconnecting database listener:', err);
@@ -100,7 +386,10 @@ class DatabaseListener extends EventEmitter {
 
     getStatus() {
         return {
+            source: 'notify',
             isConnected: this.isConnected,
+            disconnectedAt: this.disconnectedAt,
+            lastSequence: this.lastSequence,
             reconnectAttempts: this.reconnectAttempts,
             maxReconnectAttempts: this.maxReconnectAttempts
         };
@@ -0,0 +1,325 @@
+// At-least-once delivery for clients that connect with `auth: { clientId, delivery: 'ack' }`.
+// Every event sent to such a client carries a `deliveryId` and stays pending until the
+// client acknowledges it. Unacknowledged events are retried with backoff, and when the
+// client reconnects with the same client id everything still pending is sent again.
+// Clients are keyed by their authenticated identity plus client id, not by socket id.
+// Each identity keeps at most maxClientsPerIdentity client ids; a new one evicts the
+// one seen longest ago.
+//
+// While such a client is away it is represented by an offline stand-in carrying the
+// rooms and socket data of its last connection, so events keep being queued for it.
+class DeliveryTracker {
+    constructor(options = {}) {
+        this.ackTimeout = options.ackTimeout || 5000;
+        this.maxInFlight = options.maxInFlight || 100;
+        this.maxPending = options.maxPending || 10000;
+        this.retryDelay = options.retryDelay || 1000;
+        this.maxRetryDelay = options.maxRetryDelay || 30000;
+        this.retentionMs = options.retentionMs || 24 * 60 * 60 * 1000;
+        this.maxClientsPerIdentity = options.maxClientsPerIdentity || 10;
+
+        this.clients = new Map(); // identity:clientId -> client state
+        this.sockets = new Map(); // socket id -> client state
+        this.cleanupTimer = null;
+    }
+
+    clientKey(identity, clientId) {
+        return `${identity.id}:${clientId}`;
+    }
+
+    isTracked(socket) {
+        return this.sockets.has(socket.id);
+    }
+
+    // Start tracking a socket for a durable client id and resend whatever is still pending
+    attach(socket, clientId) {
+        const key = this.clientKey(socket.data.identity, clientId);
+        let client = this.clients.get(key);
+
+        if (!client) {
+            this.makeRoomFor(socket.data.identity);
+            client = {
+                key,
+                identityId: socket.data.identity.id,
+                clientId,
+                socket: null,
+                nextId: 1,
+                pending: new Map(), // delivery id -> entry, in send order
+                inFlight: 0,
+                delivered: 0,
+                retries: 0,
+                dropped: 0,
+                lastAckAt: null,
+                ackLatency: null,
+                attachedAt: null,
+                disconnectedAt: null,
+                retryTimer: null,
+                standIn: null
+            };
+            this.clients.set(key, client);
+        }
+
+        // The newest connection for a client id takes over
+        if (client.socket) {
+            this.sockets.delete(client.socket.id);
+        }
+
+        const restored = client.standIn;
+        if (restored) {
+            this.sockets.delete(restored.id);
+            client.standIn = null;
+        }
+
+        this.resetInFlight(client);
+        client.socket = socket;
+        client.attachedAt = new Date();
+        client.disconnectedAt = null;
+        this.sockets.set(socket.id, client);
+
+        console.log(`📬 Client ${socket.id} attached as ${key} with ${client.pending.size} pending events`);
+        this.pump(client);
+
+        return { pending: client.pending.size, restored };
+    }
+
+    // Evict the identity's client id seen longest ago when it has no room for another:
+    // the one away the longest, or else the one connected the longest
+    makeRoomFor(identity) {
+        const owned = Array.from(this.clients.values()).filter(client => client.identityId === identity.id);
+        if (owned.length < this.maxClientsPerIdentity) return;
+
+        const lastSeen = client => (client.socket ? Infinity : client.disconnectedAt.getTime());
+        const oldest = owned.reduce((a, b) => {
+            if (lastSeen(a) !== lastSeen(b)) return lastSeen(a) < lastSeen(b) ? a : b;
+            return a.attachedAt <= b.attachedAt ? a : b;
+        });
+
+        console.warn(`📭 ${identity.id} already has ${this.maxClientsPerIdentity} client ids, evicting ${oldest.key} with ${oldest.pending.size} pending events`);
+        this.forget(oldest);
+    }
+
+    // Stop tracking a client. A connected socket keeps receiving events, without acks.
+    forget(client) {
+        this.resetInFlight(client);
+        if (client.socket) {
+            this.sockets.delete(client.socket.id);
+        }
+        if (client.standIn) {
+            this.sockets.delete(client.standIn.id);
+        }
+        this.clients.delete(client.key);
+    }
+
+    // The socket went away; pending events wait for the client to come back.
+    // Returns the offline stand-in that receives events in the meantime.
+    detach(socket) {
+        const client = this.sockets.get(socket.id);
+        if (!client || client.socket !== socket) {
+            this.sockets.delete(socket.id);
+            return null;
+        }
+
+        this.sockets.delete(socket.id);
+        client.socket = null;
+        client.disconnectedAt = new Date();
+        this.resetInFlight(client);
+
+        client.standIn = {
+            id: `offline:${client.key}`,
+            rooms: new Set(Array.from(socket.rooms).filter(room => room !== socket.id)),
+            data: { ...socket.data }
+        };
+        this.sockets.set(client.standIn.id, client);
+
+        return client.standIn;
+    }
+
+    // Stand-ins of clients that are currently away
+    getOfflineRecipients() {
+        const recipients = [];
+        this.clients.forEach(client => {
+            if (client.standIn) recipients.push(client.standIn);
+        });
+        return recipients;
+    }
+
+    getOfflineRecipient(id) {
+        const client = this.sockets.get(id);
+        return client && client.standIn && client.standIn.id === id ? client.standIn : null;
+    }
+
+    // Events sent on the old connection count as not sent, and go out again in order
+    resetInFlight(client) {
+        client.pending.forEach(entry => {
+            entry.sentAt = null;
+            entry.retryAt = 0;
+        });
+        client.inFlight = 0;
+
+        if (client.retryTimer) {
+            clearTimeout(client.retryTimer);
+            client.retryTimer = null;
+        }
+    }
+
+    send(socket, event, payload) {
+        const client = this.sockets.get(socket.id);
+        if (!client) return;
+
+        this.enqueue(client, event, payload);
+        this.pump(client);
+    }
+
+    enqueue(client, event, payload) {
+        const id = client.nextId++;
+        client.pending.set(id, {
+            id,
+            event,
+            payload: { ...payload, deliveryId: id },
+            queuedAt: Date.now(),
+            sentAt: null,
+            retryAt: 0,
+            attempts: 0
+        });
+
+        // A client that stays away too long gets a resync marker instead of an endless backlog
+        if (client.pending.size > this.maxPending) {
+            console.warn(`📭 Delivery backlog for ${client.key} exceeded ${this.maxPending} events, asking it to resync`);
+            client.dropped += client.pending.size;
+            // Late answers for dropped events on the wire must not touch inFlight again
+            client.pending.forEach(entry => { entry.sentAt = null; });
+            client.pending.clear();
+            client.inFlight = 0;
+
+            const markerId = client.nextId++;
+            client.pending.set(markerId, {
+                id: markerId,
+                event: 'resync_required',
+                payload: { reason: 'delivery_backlog_exceeded', deliveryId: markerId, serverTime: new Date() },
+                queuedAt: Date.now(),
+                sentAt: null,
+                retryAt: 0,
+                attempts: 0
+            });
+        }
+    }
+
+    // Send pending events in order while fewer than maxInFlight are unacknowledged
+    pump(client) {
+        if (!client.socket) return;
+
+        const now = Date.now();
+        let nextRetryAt = null;
+
+        for (const entry of client.pending.values()) {
+            if (client.inFlight >= this.maxInFlight) break;
+            if (entry.sentAt !== null) continue;
+
+            if (entry.retryAt > now) {
+                nextRetryAt = nextRetryAt === null ? entry.retryAt : Math.min(nextRetryAt, entry.retryAt);
+                continue;
+            }
+
+            this.transmit(client, entry);
+        }
+
+        if (nextRetryAt !== null && !client.retryTimer) {
+            client.retryTimer = setTimeout(() => {
+                client.retryTimer = null;
+                this.pump(client);
+            }, nextRetryAt - now);
+        }
+    }
+
+    transmit(client, entry) {
+        const socket = client.socket;
+        const attempt = ++entry.attempts;
+
+        if (attempt > 1) client.retries++;
+        entry.sentAt = Date.now();
+        client.inFlight++;
+
+        socket.timeout(this.ackTimeout).emit(entry.event, entry.payload, (err) => {
+            // Ignore answers about an older attempt, or from a connection we already dropped
+            if (entry.attempts !== attempt || entry.sentAt === null || client.socket !== socket) return;
+
+            client.inFlight--;
+
+            if (err) {
+                entry.sentAt = null;
+                entry.retryAt = Date.now() + Math.min(this.retryDelay * Math.pow(2, attempt - 1), this.maxRetryDelay);
+            } else {
+                this.acknowledge(client, entry);
+            }
+
+            this.pump(client);
+        });
+    }
+
+    acknowledge(client, entry) {
+        client.pending.delete(entry.id);
+        client.delivered++;
+        client.lastAckAt = new Date();
+
+        // Moving average of the time from queueing to acknowledgement
+        const latency = Date.now() - entry.queuedAt;
+        client.ackLatency = client.ackLatency === null ? latency : Math.round(client.ackLatency * 0.8 + latency * 0.2);
+    }
+
+    // Forget clients that have been away longer than the retention period
+    cleanup() {
+        const cutoff = Date.now() - this.retentionMs;
+
+        this.clients.forEach((client, key) => {
+            if (!client.socket && client.disconnectedAt && client.disconnectedAt.getTime() < cutoff) {
+                console.log(`🗑️  Discarding ${client.pending.size} pending events for ${key}, away since ${client.disconnectedAt.toISOString()}`);
+                this.forget(client);
+            }
+        });
+    }
+
+    startCleanup(interval = 60 * 1000) {
+        this.stopCleanup();
+        this.cleanupTimer = setInterval(() => this.cleanup(), interval);
+    }
+
+    stopCleanup() {
+        if (this.cleanupTimer) {
+            clearInterval(this.cleanupTimer);
+            this.cleanupTimer = null;
+        }
+    }
+
+    // Delivery lag of one client: what is still pending and how old the oldest event is
+    getClientStats(client) {
+        const oldest = client.pending.values().next().value;
+
+        return {
+            clientId: client.clientId,
+            key: client.key,
+            connected: Boolean(client.socket),
+            socketId: client.socket ? client.socket.id : null,
+            pending: client.pending.size,
+            inFlight: client.inFlight,
+            oldestPendingMs: oldest ? Date.now() - oldest.queuedAt : 0,
+            delivered: client.delivered,
+            retries: client.retries,
+            dropped: client.dropped,
+            ackLatencyMs: client.ackLatency,
+            lastAckAt: client.lastAckAt,
+            disconnectedAt: client.disconnectedAt
+        };
+    }
+
+    // Delivery lag of the durable client a connected socket belongs to, if any
+    getSocketStats(socket) {
+        const client = this.sockets.get(socket.id);
+        return client ? this.getClientStats(client) : null;
+    }
+
+    getStats() {
+        return Array.from(this.clients.values()).map(client => this.getClientStats(client));
+    }
+}
+
+module.exports = DeliveryTracker;
\ No newline at end of file
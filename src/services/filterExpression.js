@@ -0,0 +1,395 @@
+// Small predicate language for filtered subscriptions, evaluated against change rows:
+//
+//   status in (pending, shipped) and customer_name ilike 'acme%'
+//   changed(status) and not status = delivered
+//   quantity < 10 or sku is null
+//
+// Operators: = != <> < <= > >=, [not] in (...), [not] like / ilike, is [not] null,
+// changed(field), and / or / not and parentheses. Bare words are string literals.
+
+const KEYWORDS = ['and', 'or', 'not', 'in', 'like', 'ilike', 'is', 'null', 'true', 'false', 'changed'];
+const COMPARISON_OPERATORS = ['=', '!=', '<>', '<', '<=', '>', '>='];
+const MAX_LENGTH = 1000;
+
+class FilterSyntaxError extends Error {
+    constructor(message, position) {
+        super(position === undefined ? message : `${message} at position ${position}`);
+        this.name = 'FilterSyntaxError';
+        this.position = position;
+    }
+}
+
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')' || char === ',') {
+            tokens.push({ type: char, position: i });
+            i++;
+        } else if (char === "'" || char === '"') {
+            // Quoted string, a doubled quote escapes itself
+            let value = '';
+            let j = i + 1;
+            while (true) {
+                if (j >= source.length) throw new FilterSyntaxError('Unterminated string', i);
+                if (source[j] === char) {
+                    if (source[j + 1] === char) {
+                        value += char;
+                        j += 2;
+                        continue;
+                    }
+                    break;
+                }
+                value += source[j++];
+            }
+            tokens.push({ type: 'string', value, position: i });
+            i = j + 1;
+        } else if (/[=!<>]/.test(char)) {
+            const two = source.slice(i, i + 2);
+            const op = COMPARISON_OPERATORS.includes(two) ? two : char;
+            if (!COMPARISON_OPERATORS.includes(op)) throw new FilterSyntaxError(`Unexpected "${char}"`, i);
+            tokens.push({ type: 'operator', value: op, position: i });
+            i += op.length;
+        } else if (/[-0-9.]/.test(char) && /^-?\d/.test(source.slice(i, i + 2))) {
+            const match = /^-?\d+(\.\d+)?/.exec(source.slice(i));
+            tokens.push({ type: 'number', value: Number(match[0]), position: i });
+            i += match[0].length;
+        } else if (/[A-Za-z_]/.test(char)) {
+            const match = /^[A-Za-z_][A-Za-z0-9_.-]*/.exec(source.slice(i));
+            const word = match[0];
+            const lower = word.toLowerCase();
+            tokens.push(KEYWORDS.includes(lower)
+                ? { type: 'keyword', value: lower, position: i }
+                : { type: 'word', value: word, position: i });
+            i += word.length;
+        } else {
+            throw new FilterSyntaxError(`Unexpected "${char}"`, i);
+        }
+    }
+
+    return tokens;
+}
+
+class Parser {
+    constructor(tokens, length) {
+        this.tokens = tokens;
+        this.index = 0;
+        this.length = length;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    isKeyword(value) {
+        const token = this.peek();
+        return Boolean(token) && token.type === 'keyword' && token.value === value;
+    }
+
+    expect(type, value) {
+        const token = this.next();
+        if (!token || token.type !== type || (value !== undefined && token.value !== value)) {
+            const position = token ? token.position : this.length;
+            throw new FilterSyntaxError(`Expected ${value || type}`, position);
+        }
+        return token;
+    }
+
+    parse() {
+        if (this.tokens.length === 0) throw new FilterSyntaxError('Empty filter');
+
+        const expression = this.parseOr();
+        const rest = this.peek();
+        if (rest) throw new FilterSyntaxError('Unexpected token', rest.position);
+        return expression;
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.isKeyword('or')) {
+            this.next();
+            left = { type: 'or', left, right: this.parseAnd() };
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.isKeyword('and')) {
+            this.next();
+            left = { type: 'and', left, right: this.parseNot() };
+        }
+        return left;
+    }
+
+    parseNot() {
+        if (this.isKeyword('not')) {
+            this.next();
+            return { type: 'not', expression: this.parseNot() };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+        if (!token) throw new FilterSyntaxError('Unexpected end of filter', this.length);
+
+        if (token.type === '(') {
+            this.next();
+            const expression = this.parseOr();
+            this.expect(')');
+            return expression;
+        }
+
+        if (this.isKeyword('changed')) {
+            this.next();
+            this.expect('(');
+            const field = this.expect('word').value;
+            this.expect(')');
+            return { type: 'changed', field };
+        }
+
+        return this.parseCondition();
+    }
+
+    parseCondition() {
+        const field = this.expect('word').value;
+        const token = this.next();
+        if (!token) throw new FilterSyntaxError(`Expected an operator after ${field}`, this.length);
+
+        if (token.type === 'operator') {
+            return { type: 'compare', field, operator: token.value, value: this.parseValue() };
+        }
+
+        if (token.type === 'keyword' && token.value === 'is') {
+            const negated = this.isKeyword('not');
+            if (negated) this.next();
+            this.expect('keyword', 'null');
+            return { type: 'null', field, negated };
+        }
+
+        let negated = false;
+        let operator = token;
+        if (token.type === 'keyword' && token.value === 'not') {
+            negated = true;
+            operator = this.next();
+        }
+
+        if (operator && operator.type === 'keyword' && operator.value === 'in') {
+            this.expect('(');
+            const values = [this.parseValue()];
+            while (this.peek() && this.peek().type === ',') {
+                this.next();
+                values.push(this.parseValue());
+            }
+            this.expect(')');
+            return { type: 'in', field, values, negated };
+        }
+
+        if (operator && operator.type === 'keyword' && (operator.value === 'like' || operator.value === 'ilike')) {
+            const pattern = this.parseValue();
+            if (typeof pattern !== 'string') {
+                throw new FilterSyntaxError(`${operator.value} needs a string pattern`, operator.position);
+            }
+            return {
+                type: 'like',
+                field,
+                negated,
+                caseInsensitive: operator.value === 'ilike',
+                source: pattern,
+                pattern: likeToRegExp(pattern, operator.value === 'ilike')
+            };
+        }
+
+        throw new FilterSyntaxError(`Unknown operator after ${field}`, operator ? operator.position : this.length);
+    }
+
+    parseValue() {
+        const token = this.next();
+        if (!token) throw new FilterSyntaxError('Expected a value', this.length);
+
+        if (token.type === 'string' || token.type === 'number' || token.type === 'word') {
+            return token.value;
+        }
+        if (token.type === 'keyword' && token.value === 'true') return true;
+        if (token.type === 'keyword' && token.value === 'false') return false;
+        if (token.type === 'keyword' && token.value === 'null') return null;
+
+        throw new FilterSyntaxError('Expected a value', token.position);
+    }
+}
+
+// Translate a SQL LIKE pattern (% and _) into a regular expression
+function likeToRegExp(pattern, caseInsensitive) {
+    const body = pattern.split('').map(char => {
+        if (char === '%') return '.*';
+        if (char === '_') return '.';
+        return char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+
+    return new RegExp(`^${body}$`, caseInsensitive ? 'is' : 's');
+}
+
+// Compare like SQL would: numerically when both sides are numbers, otherwise as text
+function compareValues(actual, expected) {
+    if (typeof expected === 'number' && actual !== '' && !isNaN(Number(actual))) {
+        return Number(actual) - expected;
+    }
+
+    const a = String(actual);
+    const b = String(expected);
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function evaluate(node, row, changedFields) {
+    switch (node.type) {
+    case 'and':
+        return evaluate(node.left, row, changedFields) && evaluate(node.right, row, changedFields);
+    case 'or':
+        return evaluate(node.left, row, changedFields) || evaluate(node.right, row, changedFields);
+    case 'not':
+        return !evaluate(node.expression, row, changedFields);
+    case 'changed':
+        return Boolean(changedFields) && changedFields.includes(node.field);
+    case 'null': {
+        const isNull = row[node.field] === null || row[node.field] === undefined;
+        return node.negated ? !isNull : isNull;
+    }
+    }
+
+    const actual = row[node.field];
+
+    // Like SQL, comparisons against NULL are never true
+    if (actual === null || actual === undefined) return false;
+
+    switch (node.type) {
+    case 'compare': {
+        if (node.value === null) return false;
+        const result = compareValues(actual, node.value);
+        switch (node.operator) {
+        case '=': return result === 0;
+        case '!=':
+        case '<>': return result !== 0;
+        case '<': return result < 0;
+        case '<=': return result <= 0;
+        case '>': return result > 0;
+        case '>=': return result >= 0;
+        }
+        return false;
+    }
+    case 'in': {
+        const found = node.values.some(value => value !== null && compareValues(actual, value) === 0);
+        return node.negated ? !found : found;
+    }
+    case 'like': {
+        const matched = node.pattern.test(String(actual));
+        return node.negated ? !matched : matched;
+    }
+    default:
+        return false;
+    }
+}
+
+// Translate a filter into a SQL condition with the same meaning as evaluate().
+// Leaves are wrapped in COALESCE so a comparison with NULL is false, as it is in
+// evaluate(). Numbers compare against the column itself, anything else against
+// its text value.
+function toSql(node, escapeIdentifier, values) {
+    const param = (value) => {
+        values.push(typeof value === 'boolean' ? String(value) : value);
+        return `$${values.length}`;
+    };
+
+    const compare = (field, operator, value) => {
+        if (value === null) return 'FALSE';
+        const column = typeof value === 'number' ? escapeIdentifier(field) : `${escapeIdentifier(field)}::text`;
+        return `${column} ${operator === '!=' ? '<>' : operator} ${param(value)}`;
+    };
+
+    switch (node.type) {
+    case 'and':
+        return `(${toSql(node.left, escapeIdentifier, values)} AND ${toSql(node.right, escapeIdentifier, values)})`;
+    case 'or':
+        return `(${toSql(node.left, escapeIdentifier, values)} OR ${toSql(node.right, escapeIdentifier, values)})`;
+    case 'not':
+        return `(NOT ${toSql(node.expression, escapeIdentifier, values)})`;
+    case 'changed':
+        throw new FilterSyntaxError('changed() describes a change and can\'t be used to select rows');
+    case 'null':
+        return `(${escapeIdentifier(node.field)} IS ${node.negated ? 'NOT ' : ''}NULL)`;
+    case 'compare':
+        return `COALESCE(${compare(node.field, node.operator, node.value)}, FALSE)`;
+    case 'in': {
+        const matches = node.values.map(value => compare(node.field, '=', value)).join(' OR ');
+        return `(${escapeIdentifier(node.field)} IS NOT NULL AND COALESCE(${node.negated ? 'NOT ' : ''}(${matches}), FALSE))`;
+    }
+    case 'like': {
+        const operator = `${node.negated ? 'NOT ' : ''}${node.caseInsensitive ? 'ILIKE' : 'LIKE'}`;
+        return `COALESCE(${escapeIdentifier(node.field)}::text ${operator} ${param(node.source)}, FALSE)`;
+    }
+    default:
+        return 'FALSE';
+    }
+}
+
+function usesChanged(node) {
+    if (node.type === 'changed') return true;
+    return [node.left, node.right, node.expression].some(child => child && usesChanged(child));
+}
+
+function collectFields(node, fields = new Set()) {
+    if (node.field) fields.add(node.field);
+    if (node.left) collectFields(node.left, fields);
+    if (node.right) collectFields(node.right, fields);
+    if (node.expression) collectFields(node.expression, fields);
+    return fields;
+}
+
+function parseFilter(source) {
+    if (typeof source !== 'string') throw new FilterSyntaxError('Filter must be a string');
+    if (source.length > MAX_LENGTH) throw new FilterSyntaxError(`Filter is longer than ${MAX_LENGTH} characters`);
+
+    return new Parser(tokenize(source), source.length).parse();
+}
+
+// Compile a filter into { source, fields, usesChanged, matches(row, changedFields), toSql(escapeIdentifier) }.
+// toSql returns { text, values } for a WHERE clause selecting the same rows.
+function compileFilter(source) {
+    const ast = parseFilter(source);
+
+    return {
+        source,
+        fields: Array.from(collectFields(ast)),
+        usesChanged: usesChanged(ast),
+        matches: (row, changedFields) => Boolean(row) && evaluate(ast, row, changedFields),
+        toSql: (escapeIdentifier) => {
+            const values = [];
+            return { text: toSql(ast, escapeIdentifier, values), values };
+        }
+    };
+}
+
+// Filter matching every row, for subscriptions without a filter expression
+const MATCH_ALL = {
+    source: null,
+    fields: [],
+    usesChanged: false,
+    matches: (row) => Boolean(row),
+    toSql: () => ({ text: 'TRUE', values: [] })
+};
+
+module.exports = {
+    parseFilter,
+    compileFilter,
+    MATCH_ALL,
+    FilterSyntaxError
+};
\ No newline at end of file
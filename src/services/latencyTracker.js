@@ -0,0 +1,92 @@
+const { metrics } = require('./metrics');
+
+// Hops of a change on its way from the database to a rendered client view:
+//
+//   triggerToCommit  the change trigger fired -> the transaction committed
+//   commitToReceive  commit -> the change source received the change
+//   receiveToEmit    receipt -> the server emitted the event (grouping, pauses)
+//   emitToRender     emitted -> the client's render acknowledgement arrived
+//   render           the client received the event -> it was rendered (client clock)
+//   endToEnd         commit -> the client's render acknowledgement arrived
+//
+// Database timestamps come from the database server's clock, so the hops crossing
+// from it to this server are only as accurate as the two clocks are in sync.
+const HOPS = ['triggerToCommit', 'commitToReceive', 'receiveToEmit', 'emitToRender', 'render', 'endToEnd'];
+
+// Samples older than this make no sense as a latency, they come from bad clocks
+const MAX_SAMPLE_MS = 60 * 60 * 1000;
+
+function isTime(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Percentile of sorted samples, nearest-rank
+function percentile(sorted, p) {
+    return sorted[Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1)];
+}
+
+// Keeps the latest `sampleSize` latencies of every hop and reports their percentiles
+class LatencyTracker {
+    constructor(options = {}) {
+        this.sampleSize = options.sampleSize || 1000;
+        this.samples = new Map(HOPS.map(hop => [hop, []]));
+        this.counts = new Map(HOPS.map(hop => [hop, 0]));
+    }
+
+    record(hop, from, to) {
+        if (!isTime(from) || !isTime(to)) return;
+
+        // Clock differences can make a short hop look negative
+        const ms = Math.max(0, to - from);
+        if (ms > MAX_SAMPLE_MS) return;
+
+        const samples = this.samples.get(hop);
+        samples.push(ms);
+        if (samples.length > this.sampleSize) samples.shift();
+        this.counts.set(hop, this.counts.get(hop) + 1);
+
+        metrics.changeLatency.observe({ hop }, ms / 1000);
+    }
+
+    // The hops the server sees for a change it is about to emit
+    recordEmit(trace) {
+        if (!trace) return;
+
+        this.record('triggerToCommit', trace.triggeredAt, trace.committedAt);
+        this.record('commitToReceive', trace.committedAt, trace.receivedAt);
+        this.record('receiveToEmit', trace.receivedAt, trace.emittedAt);
+    }
+
+    // A client's acknowledgement that it rendered a change: the trace it received
+    // plus how long rendering took on its own clock
+    recordRender(trace, renderMs, ackedAt = Date.now()) {
+        if (!trace || typeof trace !== 'object') return;
+
+        this.record('emitToRender', trace.emittedAt, ackedAt);
+        this.record('endToEnd', trace.committedAt, ackedAt);
+        if (isTime(renderMs)) {
+            this.record('render', 0, renderMs);
+        }
+    }
+
+    // p50/p95/p99 of the recent samples of every hop, in milliseconds
+    getStats() {
+        const stats = {};
+
+        this.samples.forEach((samples, hop) => {
+            const sorted = [...samples].sort((a, b) => a - b);
+
+            stats[hop] = sorted.length === 0 ? { count: this.counts.get(hop) } : {
+                count: this.counts.get(hop),
+                p50: percentile(sorted, 50),
+                p95: percentile(sorted, 95),
+                p99: percentile(sorted, 99),
+                max: sorted[sorted.length - 1]
+            };
+        });
+
+        return stats;
+    }
+}
+
+module.exports = LatencyTracker;
\ No newline at end of file
@@ -0,0 +1,131 @@
+const { Client } = require('pg');
+const EventEmitter = require('events');
+
+// Elects one node of a cluster with a PostgreSQL session advisory lock. The node
+// holding the lock is the leader; PostgreSQL releases the lock when its connection
+// goes away, so another node takes over on its next attempt.
+//
+// Emits 'elected' when this node becomes leader and 'demoted' when it loses the lock.
+class LeaderElector extends EventEmitter {
+    constructor(dbConfig, options = {}) {
+        super();
+        this.nodeId = options.nodeId;
+        this.lockName = options.lockName || 'realtime-orders-listener';
+        this.checkInterval = options.checkInterval || 5000;
+        this.dbConfig = {
+            ...dbConfig,
+            application_name: `realtime-leader:${this.nodeId}`,
+            // A lock connection that hangs must not keep us believing we lead
+            query_timeout: this.checkInterval
+        };
+        this.client = null;
+        this.timer = null;
+        this.isLeader = false;
+        this.stopped = false;
+        this.electedAt = null;
+    }
+
+    async start() {
+        this.stopped = false;
+        await this.check();
+    }
+
+    // Try to take the lock, or make sure the session holding it is still alive
+    async check() {
+        this.timer = null;
+
+        try {
+            if (!this.client) {
+                await this.connectClient();
+            }
+
+            if (this.isLeader) {
+                await this.client.query('SELECT 1');
+            } else {
+                const result = await this.client.query(
+                    'SELECT pg_try_advisory_lock(hashtext($1)) AS acquired',
+                    [this.lockName]
+                );
+
+                if (result.rows[0].acquired) {
+                    this.isLeader = true;
+                    this.electedAt = new Date();
+                    console.log(`👑 Node ${this.nodeId} elected as leader`);
+                    this.emit('elected');
+                }
+            }
+        } catch (err) {
+            console.error('Leader election error:', err.message);
+            this.handleConnectionLoss(this.client);
+        }
+
+        if (!this.stopped) {
+            this.timer = setTimeout(() => this.check(), this.checkInterval);
+        }
+    }
+
+    async connectClient() {
+        const client = new Client(this.dbConfig);
+        this.client = client;
+
+        client.on('error', (err) => {
+            console.error('Leader election connection error:', err.message);
+            this.handleConnectionLoss(client);
+        });
+
+        await client.connect();
+    }
+
+    // The lock belongs to the session, losing the connection means losing leadership
+    handleConnectionLoss(client) {
+        if (!client || client !== this.client) return;
+
+        this.client = null;
+        client.removeAllListeners('error');
+        client.on('error', () => {});
+        client.end().catch(() => {});
+
+        if (this.isLeader) {
+            this.isLeader = false;
+            this.electedAt = null;
+            console.warn(`⚠️  Node ${this.nodeId} lost leadership`);
+            this.emit('demoted');
+        }
+    }
+
+    async stop() {
+        this.stopped = true;
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        if (this.client) {
+            const client = this.client;
+            this.client = null;
+
+            try {
+                if (this.isLeader) {
+                    await client.query('SELECT pg_advisory_unlock(hashtext($1))', [this.lockName]);
+                }
+                await client.end();
+            } catch (err) {
+                // The connection is already gone, and the lock with it
+            }
+        }
+
+        this.isLeader = false;
+        this.electedAt = null;
+    }
+
+    getStatus() {
+        return {
+            nodeId: this.nodeId,
+            isLeader: this.isLeader,
+            electedAt: this.electedAt
+        };
+    }
+}
+
+module.exports = LeaderElector;
\ No newline at end of file
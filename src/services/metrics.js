@@ -0,0 +1,156 @@
+const client = require('prom-client');
+
+// Prometheus metrics of the realtime pipeline, served at GET /metrics. Counters and
+// histograms are updated where things happen; gauges read their value from the
+// WebSocket handler and the database pool when Prometheus scrapes.
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const metrics = {
+    notificationsReceived: new client.Counter({
+        name: 'realtime_notifications_received_total',
+        help: 'Changes received from the change source',
+        labelNames: ['table', 'operation'],
+        registers: [register]
+    }),
+    broadcasts: new client.Counter({
+        name: 'realtime_broadcasts_total',
+        help: 'Changes broadcast to clients',
+        labelNames: ['table', 'operation'],
+        registers: [register]
+    }),
+    broadcastDuration: new client.Histogram({
+        name: 'realtime_broadcast_duration_seconds',
+        help: 'Time to deliver one committed transaction to every client',
+        buckets: [0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1],
+        registers: [register]
+    }),
+    listenerReconnects: new client.Counter({
+        name: 'realtime_listener_reconnects_total',
+        help: 'Reconnect attempts of the change source listener',
+        registers: [register]
+    }),
+    changeLatency: new client.Histogram({
+        name: 'realtime_change_latency_seconds',
+        help: 'Latency of each hop of a change from commit to a rendered client view',
+        labelNames: ['hop'],
+        buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+        registers: [register]
+    }),
+    sinkEvents: new client.Counter({
+        name: 'realtime_sink_events_total',
+        help: 'Change events handed to event sinks, by outcome (written, dropped)',
+        labelNames: ['sink', 'outcome'],
+        registers: [register]
+    }),
+    sinkFailures: new client.Counter({
+        name: 'realtime_sink_failures_total',
+        help: 'Failed event sink writes, retried with backoff',
+        labelNames: ['sink'],
+        registers: [register]
+    }),
+    httpRequestDuration: new client.Histogram({
+        name: 'http_request_duration_seconds',
+        help: 'HTTP request latency',
+        labelNames: ['method', 'route', 'status_code'],
+        buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+        registers: [register]
+    })
+};
+
+// Connected clients, rooms and subscriptions of a WebSocketHandler
+function observeWebSocketHandler(handler) {
+    new client.Gauge({
+        name: 'realtime_connected_clients',
+        help: 'Connected clients by transport',
+        labelNames: ['transport'],
+        registers: [register],
+        collect() {
+            const counts = { 'socket.io': handler.connectedClients.size, sse: 0, websocket: 0 };
+            handler.streamClients.forEach(stream => {
+                counts[stream.transport] = (counts[stream.transport] || 0) + 1;
+            });
+            Object.keys(counts).forEach(transport => this.set({ transport }, counts[transport]));
+        }
+    });
+
+    new client.Gauge({
+        name: 'realtime_rooms',
+        help: 'Socket.IO rooms clients joined, not counting each socket\'s own room',
+        registers: [register],
+        collect() {
+            const { rooms, sids } = handler.io.sockets.adapter;
+            let count = 0;
+            rooms.forEach((members, room) => {
+                if (!sids.has(room)) count++;
+            });
+            this.set(count);
+        }
+    });
+
+    new client.Gauge({
+        name: 'realtime_subscriptions',
+        help: 'Filtered subscriptions of all clients',
+        registers: [register],
+        collect() {
+            this.set(handler.getNodeStatus().subscriptions);
+        }
+    });
+}
+
+// Utilisation of a pg Pool
+function observePool(pool) {
+    new client.Gauge({
+        name: 'db_pool_connections',
+        help: 'Database pool connections by state',
+        labelNames: ['state'],
+        registers: [register],
+        collect() {
+            this.set({ state: 'total' }, pool.totalCount);
+            this.set({ state: 'idle' }, pool.idleCount);
+            this.set({ state: 'active' }, pool.totalCount - pool.idleCount);
+        }
+    });
+
+    new client.Gauge({
+        name: 'db_pool_waiting_requests',
+        help: 'Queries waiting for a free pool connection',
+        registers: [register],
+        collect() {
+            this.set(pool.waitingCount);
+        }
+    });
+
+    new client.Gauge({
+        name: 'db_pool_max_connections',
+        help: 'Size limit of the database pool',
+        registers: [register],
+        collect() {
+            this.set(pool.options.max);
+        }
+    });
+}
+
+// Express middleware timing every request by its route pattern (/api/orders/:id
+// rather than the actual id, to keep the number of series bounded)
+function httpMetrics(req, res, next) {
+    const stop = metrics.httpRequestDuration.startTimer();
+
+    res.on('finish', () => {
+        stop({
+            method: req.method,
+            route: req.route ? `${req.baseUrl}${req.route.path}` : `${req.baseUrl}/*`,
+            status_code: res.statusCode
+        });
+    });
+
+    next();
+}
+
+module.exports = {
+    register,
+    metrics,
+    observeWebSocketHandler,
+    observePool,
+    httpMetrics
+};
\ No newline at end of file
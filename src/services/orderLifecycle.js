@@ -0,0 +1,89 @@
+const { pool } = require('../config/database');
+const ORDER_LIFECYCLE = require('../config/orderLifecycle');
+
+const STATUSES = Object.keys(ORDER_LIFECYCLE.statuses);
+
+// Statuses an order in `status` may move to
+function nextStatuses(status) {
+    const definition = ORDER_LIFECYCLE.statuses[status];
+    return definition ? definition.next : [];
+}
+
+// Check moving `order` to status `to`. Returns null when the transition is allowed,
+// or `{ error, allowed }` with the reason and the statuses the order may move to.
+function checkTransition(order, to, context = {}) {
+    const from = order.status;
+    const allowed = nextStatuses(from);
+
+    if (!allowed.includes(to)) {
+        const error = allowed.length > 0
+            ? `Order #${order.id} can't move from ${from} to ${to}, only to: ${allowed.join(', ')}`
+            : `Order #${order.id} is ${from} and can't change status anymore`;
+        return { error, allowed };
+    }
+
+    const { guard } = ORDER_LIFECYCLE.statuses[to];
+    const refusal = guard ? guard(order, { ...context, from }) : null;
+
+    return refusal ? { error: refusal, allowed } : null;
+}
+
+// The lifecycle as served to clients, without the guards
+function describeLifecycle() {
+    return {
+        initial: ORDER_LIFECYCLE.initial,
+        statuses: STATUSES.map(status => ({ status, next: nextStatuses(status) }))
+    };
+}
+
+// Copy the transitions into order_status_transitions, where the trigger installed by
+// database/schema.sql enforces them, when the table doesn't match the configuration
+async function syncTransitions(db = pool) {
+    const transitions = STATUSES.flatMap(from => nextStatuses(from).map(to => [from, to]));
+    const key = ([from, to]) => `${from}->${to}`;
+
+    let result;
+    try {
+        result = await db.query('SELECT from_status, to_status FROM order_status_transitions');
+    } catch (err) {
+        if (err.code === '42P01') {
+            throw new Error('order_status_transitions missing, run database/schema.sql first');
+        }
+        throw err;
+    }
+
+    const installed = result.rows.map(row => key([row.from_status, row.to_status]));
+    const matches = installed.length === transitions.length &&
+        transitions.every(transition => installed.includes(key(transition)));
+
+    if (matches) {
+        console.log(`✅ Order lifecycle verified (${transitions.length} transitions)`);
+        return;
+    }
+
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query('DELETE FROM order_status_transitions');
+        await client.query(`
+            INSERT INTO order_status_transitions (from_status, to_status)
+            SELECT * FROM unnest($1::text[], $2::text[])
+        `, [transitions.map(([from]) => from), transitions.map(([, to]) => to)]);
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+    } finally {
+        client.release();
+    }
+
+    console.log(`🔧 Order lifecycle installed in the database (${transitions.length} transitions)`);
+}
+
+module.exports = {
+    STATUSES,
+    nextStatuses,
+    checkTransition,
+    describeLifecycle,
+    syncTransitions
+};
\ No newline at end of file
@@ -0,0 +1,322 @@
+const { pool } = require('../config/database');
+const { writeEvent } = require('./outbox');
+const ORDER_LIFECYCLE = require('../config/orderLifecycle');
+const { STATUSES, checkTransition } = require('./orderLifecycle');
+
+const VALID_STATUSES = STATUSES;
+
+// Domain events written to the outbox when an order moves to a status
+const STATUS_EVENTS = {
+    confirmed: 'order.confirmed',
+    shipped: 'order.shipped',
+    delivered: 'order.delivered',
+    cancelled: 'order.cancelled',
+    returned: 'order.returned',
+    refunded: 'order.refunded'
+};
+
+// A request the service refuses, with the HTTP status it maps to and any extra
+// fields for the error response
+class ServiceError extends Error {
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = 'ServiceError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function trimmed(value) {
+    return typeof value === 'string' ? value.trim() : value;
+}
+
+function parseId(id) {
+    const parsed = parseInt(id);
+    if (!id || isNaN(parsed)) {
+        throw new ServiceError('Invalid order ID');
+    }
+    return parsed;
+}
+
+function validateStatus(status) {
+    if (!VALID_STATUSES.includes(status)) {
+        throw new ServiceError(`status must be one of: ${VALID_STATUSES.join(', ')}`);
+    }
+}
+
+// Refuse moving `order` to `status` unless the lifecycle allows it, naming the
+// statuses it may move to instead
+function assertTransition(order, status, context) {
+    const refusal = checkTransition(order, status, context);
+    if (refusal) {
+        throw new ServiceError(refusal.error, 409, {
+            currentStatus: order.status,
+            requestedStatus: status,
+            allowed: refusal.allowed
+        });
+    }
+}
+
+// Validation and persistence of order changes, shared by the REST controller and
+// the socket mutations. Every change runs in a transaction tagged with the id of
+// the request that made it; the change trigger copies it into the change event,
+// so the client that sent the request can recognise its own change. Mutations
+// also write their domain events (order.created, order.shipped, ...) to the
+// outbox in the same transaction. Status changes follow the lifecycle in
+// src/config/orderLifecycle.js, which the database enforces as well.
+class OrderService {
+    constructor(options = {}) {
+        this.pool = options.pool || pool;
+    }
+
+    // Run `work(client)` in a transaction that carries the request id
+    async withRequest(requestId, work) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+            if (requestId) {
+                await client.query('SELECT set_config(\'realtime.request_id\', $1, true)', [String(requestId)]);
+            }
+
+            const result = await work(client);
+            await client.query('COMMIT');
+            return result;
+        } catch (err) {
+            await client.query('ROLLBACK').catch(() => {});
+
+            // The status trigger refused a change, e.g. one made by a node with an older lifecycle
+            if (err.code === '23514' && err.table === 'orders') {
+                throw new ServiceError(err.message, 409, { detail: err.detail });
+            }
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Queue an order's domain event in the transaction of `client`
+    async recordEvent(client, type, order, details, requestId) {
+        await writeEvent(client, {
+            type,
+            table: 'orders',
+            rowId: order.id,
+            data: order,
+            details,
+            requestId
+        });
+    }
+
+    // Queue the event of each order whose status changed to one with an event
+    async recordStatusEvents(client, orders, previousStatuses, requestId, reason) {
+        for (const order of orders) {
+            const previousStatus = previousStatuses.get(order.id);
+            const type = STATUS_EVENTS[order.status];
+
+            if (type && order.status !== previousStatus) {
+                const details = reason ? { previousStatus, reason } : { previousStatus };
+                await this.recordEvent(client, type, order, details, requestId);
+            }
+        }
+    }
+
+    // Hand the reason of a change to the history trigger, which stores it in the
+    // order's order_events entry
+    async setReason(client, reason) {
+        if (reason) {
+            await client.query('SELECT set_config(\'realtime.reason\', $1, true)', [reason]);
+        }
+    }
+
+    // Lock an order for a change, its events must follow the order of its changes
+    async lockOrder(client, orderId) {
+        const result = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+
+        if (result.rows.length === 0) {
+            throw new ServiceError('Order not found', 404);
+        }
+
+        return result.rows[0];
+    }
+
+    async createOrder(data = {}, { requestId } = {}) {
+        const customer_name = trimmed(data.customer_name);
+        const product_name = trimmed(data.product_name);
+        const status = data.status || ORDER_LIFECYCLE.initial;
+
+        if (!customer_name || !product_name) {
+            throw new ServiceError('customer_name and product_name are required', 400, {
+                required: ['customer_name', 'product_name']
+            });
+        }
+        validateStatus(status);
+
+        if (status !== ORDER_LIFECYCLE.initial) {
+            throw new ServiceError(`New orders start as ${ORDER_LIFECYCLE.initial}`, 400, {
+                allowed: [ORDER_LIFECYCLE.initial]
+            });
+        }
+
+        const order = await this.withRequest(requestId, async (client) => {
+            const result = await client.query(`
+                INSERT INTO orders (customer_name, product_name, status)
+                VALUES ($1, $2, $3)
+                RETURNING *
+            `, [customer_name, product_name, status]);
+
+            const created = result.rows[0];
+            await this.recordEvent(client, 'order.created', created, null, requestId);
+            return created;
+        });
+
+        console.log('✅ Order created:', order);
+        return order;
+    }
+
+    async updateOrder(id, data = {}, { requestId } = {}) {
+        const orderId = parseId(id);
+        const fields = {
+            customer_name: trimmed(data.customer_name),
+            product_name: trimmed(data.product_name),
+            status: data.status
+        };
+        const reason = trimmed(data.reason) || undefined;
+
+        if (fields.status) {
+            validateStatus(fields.status);
+        }
+
+        const updates = Object.keys(fields).filter(field => fields[field] !== undefined);
+        if (updates.length === 0) {
+            throw new ServiceError('No fields to update');
+        }
+
+        const order = await this.withRequest(requestId, async (client) => {
+            const current = await this.lockOrder(client, orderId);
+
+            if (fields.status && fields.status !== current.status) {
+                assertTransition(current, fields.status, { reason });
+            }
+            await this.setReason(client, reason);
+
+            const assignments = updates.map((field, index) => `${field} = $${index + 1}`);
+            const result = await client.query(`
+                UPDATE orders
+                SET ${assignments.join(', ')}
+                WHERE id = $${updates.length + 1}
+                RETURNING *
+            `, [...updates.map(field => fields[field]), orderId]);
+
+            const updated = result.rows[0];
+            await this.recordStatusEvents(client, [updated], new Map([[orderId, current.status]]), requestId, reason);
+            return updated;
+        });
+
+        console.log('📝 Order updated:', order);
+        return order;
+    }
+
+    // Move an order to the next status `to` of its lifecycle. `reason` is passed to
+    // the guards and carried by the domain event.
+    async transitionOrder(id, data = {}, { requestId } = {}) {
+        const orderId = parseId(id);
+        const { to } = data;
+        const reason = trimmed(data.reason) || undefined;
+
+        if (!to) {
+            throw new ServiceError('to is required', 400, { required: ['to'] });
+        }
+        validateStatus(to);
+
+        const transition = await this.withRequest(requestId, async (client) => {
+            const current = await this.lockOrder(client, orderId);
+            assertTransition(current, to, { reason });
+            await this.setReason(client, reason);
+
+            const result = await client.query(
+                'UPDATE orders SET status = $1 WHERE id = $2 RETURNING *',
+                [to, orderId]
+            );
+
+            const updated = result.rows[0];
+            await this.recordStatusEvents(client, [updated], new Map([[orderId, current.status]]), requestId, reason);
+            return { order: updated, from: current.status, to };
+        });
+
+        console.log(`🔀 Order #${orderId} moved from ${transition.from} to ${transition.to}`);
+        return transition;
+    }
+
+    async deleteOrder(id, { requestId } = {}) {
+        const orderId = parseId(id);
+
+        const order = await this.withRequest(requestId, async (client) => {
+            const result = await client.query('DELETE FROM orders WHERE id = $1 RETURNING *', [orderId]);
+
+            if (result.rows.length === 0) {
+                throw new ServiceError('Order not found', 404);
+            }
+
+            const deleted = result.rows[0];
+            await this.recordEvent(client, 'order.deleted', deleted, null, requestId);
+            return deleted;
+        });
+
+        console.log('🗑️ Order deleted:', order);
+        return order;
+    }
+
+    // Move several orders to one status. Nothing changes unless every order may
+    // make the transition; the 409 lists the ones that can't.
+    async bulkUpdateStatus(orderIds, status, { requestId, reason } = {}) {
+        if (!orderIds || !Array.isArray(orderIds) || orderIds.length === 0) {
+            throw new ServiceError('order_ids must be a non-empty array');
+        }
+        validateStatus(status);
+
+        const orders = await this.withRequest(requestId, async (client) => {
+            const placeholders = orderIds.map((_, index) => `$${index + 1}`).join(',');
+            const current = await client.query(`
+                SELECT * FROM orders
+                WHERE id IN (${placeholders})
+                ORDER BY id
+                FOR UPDATE
+            `, orderIds);
+
+            const rejected = current.rows
+                .filter(row => row.status !== status)
+                .map(row => ({ row, refusal: checkTransition(row, status, { reason }) }))
+                .filter(({ refusal }) => refusal)
+                .map(({ row, refusal }) => ({ id: row.id, status: row.status, error: refusal.error, allowed: refusal.allowed }));
+
+            if (rejected.length > 0) {
+                throw new ServiceError(`${rejected.length} of ${current.rows.length} orders can't move to ${status}`, 409, {
+                    requestedStatus: status,
+                    rejected
+                });
+            }
+            await this.setReason(client, reason);
+
+            const result = await client.query(`
+                UPDATE orders
+                SET status = $${orderIds.length + 1}
+                WHERE id IN (${placeholders})
+                RETURNING *
+            `, [...orderIds, status]);
+
+            const previousStatuses = new Map(current.rows.map(row => [row.id, row.status]));
+            await this.recordStatusEvents(client, result.rows, previousStatuses, requestId, reason);
+            return result.rows;
+        });
+
+        console.log(`📦 Bulk updated ${orders.length} orders to status: ${status}`);
+        return orders;
+    }
+}
+
+module.exports = {
+    OrderService,
+    ServiceError,
+    VALID_STATUSES,
+    STATUS_EVENTS
+};
\ No newline at end of file
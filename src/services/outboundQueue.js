@@ -0,0 +1,182 @@
+const POLICIES = ['coalesce', 'drop', 'disconnect'];
+
+// Outbound buffer for one socket. Events go straight out while the connection keeps
+// up; once `highWaterMark` packets are waiting in the transport's write buffer, new
+// events are held here until it drains. When more than `maxQueue` events are held
+// the policy decides what happens:
+//
+//   coalesce   - queued updates with the same key (the same row) are merged into
+//                the latest one; if the queue still overflows it is dropped
+//   drop       - the queue is discarded and replaced by a `resync_required` marker
+//   disconnect - the client is disconnected
+//
+// An administrator can also throttle the socket to a number of events per second,
+// anything above that rate is held the same way.
+class OutboundQueue {
+    constructor(socket, options = {}) {
+        this.socket = socket;
+        this.policy = POLICIES.includes(options.policy) ? options.policy : 'coalesce';
+        this.maxQueue = options.maxQueue || 1000;
+        this.highWaterMark = options.highWaterMark || 64;
+        this.merge = options.merge || ((older, newer) => newer);
+
+        this.queue = [];
+        this.keys = new Map(); // coalescing key -> queued entry
+        this.laggingSince = null;
+        this.sent = 0;
+        this.coalesced = 0;
+        this.dropped = 0;
+        this.closed = false;
+        this.rate = null; // events per second while throttled
+        this.tokens = 0;
+        this.refilledAt = 0;
+        this.throttleTimer = null;
+
+        this.onDrain = () => this.flush();
+        this.socket.conn.on('drain', this.onDrain);
+    }
+
+    // Packets written but not yet handed to the network
+    get buffered() {
+        return this.socket.conn.writeBuffer.length;
+    }
+
+    isCongested() {
+        return this.buffered >= this.highWaterMark;
+    }
+
+    // Limit the socket to `rate` events per second, or lift the limit with null
+    throttle(rate) {
+        this.rate = rate || null;
+        this.tokens = this.rate || 0;
+        this.refilledAt = Date.now();
+
+        if (!this.rate) {
+            clearTimeout(this.throttleTimer);
+            this.throttleTimer = null;
+            this.flush();
+        }
+    }
+
+    // Whether an event can go out now. A throttled socket earns `rate` tokens per
+    // second, up to one second's worth; without a token the queue is flushed again
+    // once the next one is earned.
+    canSend() {
+        if (this.isCongested()) return false;
+        if (!this.rate) return true;
+
+        const now = Date.now();
+        this.tokens = Math.min(this.rate, this.tokens + (now - this.refilledAt) * this.rate / 1000);
+        this.refilledAt = now;
+        if (this.tokens >= 1) return true;
+
+        if (!this.throttleTimer) {
+            this.throttleTimer = setTimeout(() => {
+                this.throttleTimer = null;
+                this.flush();
+            }, Math.ceil((1 - this.tokens) * 1000 / this.rate));
+        }
+        return false;
+    }
+
+    push(event, payload, key) {
+        if (this.closed) return;
+
+        if (this.queue.length === 0 && this.canSend()) {
+            this.send(event, payload);
+            return;
+        }
+
+        if (!this.laggingSince) {
+            this.laggingSince = new Date();
+        }
+
+        if (key && this.policy === 'coalesce' && this.keys.has(key)) {
+            const entry = this.keys.get(key);
+            entry.payload = this.merge(entry.payload, payload);
+            this.coalesced++;
+            return;
+        }
+
+        const entry = { event, payload, key };
+        this.queue.push(entry);
+        if (key) this.keys.set(key, entry);
+
+        if (this.queue.length > this.maxQueue) {
+            this.overflow();
+        }
+    }
+
+    overflow() {
+        if (this.policy === 'disconnect') {
+            console.warn(`🐢 Client ${this.socket.id} is too slow (${this.queue.length} queued events), disconnecting`);
+            this.dropped += this.queue.length;
+            this.close();
+            this.socket.disconnect(true);
+            return;
+        }
+
+        const dropped = this.queue.length;
+        console.warn(`🐢 Client ${this.socket.id} is too slow, dropping ${dropped} queued events`);
+
+        this.dropped += dropped;
+        this.clear();
+
+        // Later events queue up behind the marker, they apply on top of the reloaded data
+        this.queue.push({
+            event: 'resync_required',
+            payload: {
+                reason: 'slow_consumer',
+                dropped,
+                serverTime: new Date()
+            }
+        });
+    }
+
+    // Send queued events until the transport is congested again (or the throttle runs out)
+    flush() {
+        while (this.queue.length > 0 && !this.closed && this.canSend()) {
+            const entry = this.queue.shift();
+            if (entry.key && this.keys.get(entry.key) === entry) {
+                this.keys.delete(entry.key);
+            }
+            this.send(entry.event, entry.payload);
+        }
+
+        if (this.queue.length === 0) {
+            this.laggingSince = null;
+        }
+    }
+
+    send(event, payload) {
+        this.sent++;
+        if (this.rate) this.tokens--;
+        this.socket.emit(event, payload);
+    }
+
+    clear() {
+        this.queue = [];
+        this.keys.clear();
+    }
+
+    close() {
+        this.closed = true;
+        this.clear();
+        clearTimeout(this.throttleTimer);
+        this.socket.conn.removeListener('drain', this.onDrain);
+    }
+
+    getStats() {
+        return {
+            queued: this.queue.length,
+            buffered: this.buffered,
+            laggingSince: this.laggingSince,
+            sent: this.sent,
+            coalesced: this.coalesced,
+            dropped: this.dropped,
+            throttle: this.rate
+        };
+    }
+}
+
+module.exports = OutboundQueue;
\ No newline at end of file
@@ -0,0 +1,161 @@
+const { pool } = require('../config/database');
+
+// Queue a domain event in the transaction of `client`, so it is only published
+// when the change it describes commits. With `table` and `data` (the row) clients
+// receive the event under their role's rules for that table; events without a
+// table are only delivered to roles with a '*' rule.
+async function writeEvent(client, { type, table = null, rowId = null, data = null, details = null, requestId = null }) {
+    const result = await client.query(`
+        INSERT INTO outbox (event_type, table_name, row_id, data, details, request_id)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id
+    `, [type, table, rowId === null ? null : String(rowId), data, details, requestId ? String(requestId) : null]);
+
+    return result.rows[0].id;
+}
+
+// Publishes outbox events through the WebSocket handler. Only the leader node
+// relays: each batch is locked, published in id order and marked dispatched in
+// one transaction, so a relay that restarts or takes over continues where the last
+// one committed. Events of one order are written under its row lock and are
+// relayed in the order they happened. Delivery is at-least-once: a crash between
+// publishing a batch and the commit publishes it again, so every event carries its
+// outbox row id (`outboxId`) for consumers to drop repeats.
+class OutboxRelay {
+    constructor(handler, options = {}) {
+        this.handler = handler;
+        this.pool = options.pool || pool;
+        this.batchSize = options.batchSize || 100;
+        this.pollInterval = options.pollInterval || 500;
+        this.retentionHours = options.retentionHours || 24;
+
+        this.timer = null;
+        this.running = false;
+        this.stopped = true;
+        this.lastCleanup = 0;
+        this.dispatched = 0;
+    }
+
+    start() {
+        if (!this.stopped) return;
+
+        this.stopped = false;
+        this.schedule(0);
+        console.log('📮 Outbox relay started');
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    schedule(delay) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.run(), delay);
+    }
+
+    async run() {
+        if (this.stopped || this.running) return;
+        this.running = true;
+
+        let relayed = 0;
+        try {
+            // Events stay in the outbox while an administrator holds broadcasts back
+            if (!this.handler.paused) {
+                relayed = await this.relayBatch();
+                await this.cleanup();
+            }
+        } catch (err) {
+            console.error('Error relaying outbox events:', err.message);
+        } finally {
+            this.running = false;
+        }
+
+        if (this.stopped) return;
+        // A full batch means more are waiting
+        this.schedule(relayed === this.batchSize ? 0 : this.pollInterval);
+    }
+
+    // Publish the oldest undispatched events and mark them dispatched. The lock
+    // waits for a relay still finishing on another node and then skips what it sent.
+    async relayBatch() {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const result = await client.query(`
+                SELECT id, event_type, table_name, row_id, data, details, request_id,
+                       extract(epoch from created_at) AS epoch
+                FROM outbox
+                WHERE dispatched_at IS NULL
+                ORDER BY id
+                LIMIT $1
+                FOR UPDATE
+            `, [this.batchSize]);
+
+            if (result.rows.length === 0) {
+                await client.query('COMMIT');
+                return 0;
+            }
+
+            const events = result.rows.map(row => this.toEvent(row));
+            events.forEach(event => this.handler.publishDomainEvent(event));
+
+            await client.query(
+                'UPDATE outbox SET dispatched_at = NOW() WHERE id = ANY($1)',
+                [events.map(event => event.id)]
+            );
+            await client.query('COMMIT');
+
+            this.dispatched += events.length;
+            return events.length;
+        } catch (err) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    toEvent(row) {
+        return {
+            id: parseInt(row.id),
+            type: row.event_type,
+            table: row.table_name,
+            rowId: row.row_id,
+            data: row.data,
+            details: row.details,
+            requestId: row.request_id,
+            occurredAt: parseFloat(row.epoch)
+        };
+    }
+
+    // Drop dispatched events older than the retention period, at most once an hour
+    async cleanup() {
+        if (Date.now() - this.lastCleanup < 60 * 60 * 1000) return;
+        this.lastCleanup = Date.now();
+
+        const result = await this.pool.query(`
+            DELETE FROM outbox
+            WHERE dispatched_at < NOW() - make_interval(hours => $1)
+        `, [this.retentionHours]);
+
+        if (result.rowCount > 0) {
+            console.log(`🧹 Removed ${result.rowCount} dispatched outbox events older than ${this.retentionHours} hours`);
+        }
+    }
+
+    getStatus() {
+        return {
+            running: !this.stopped,
+            dispatched: this.dispatched
+        };
+    }
+}
+
+module.exports = {
+    writeEvent,
+    OutboxRelay
+};
\ No newline at end of file
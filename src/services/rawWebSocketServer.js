@@ -0,0 +1,213 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const { authenticateRequest } = require('./auth');
+
+const PROTOCOL_VERSION = 1;
+// A client that lets this much data pile up is disconnected
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+// One connection to the plain WebSocket endpoint. To WebSocketHandler it looks like
+// a Socket.IO socket (`id`, `rooms`, `data`, `join`, `leave`) and it receives events
+// through send(), so both transports share the same subscription and delivery code.
+class RawWebSocketClient {
+    constructor(ws, identity, id) {
+        this.id = id;
+        this.ws = ws;
+        this.transport = 'websocket';
+        this.connectedAt = new Date();
+        this.rooms = new Set();
+        this.data = { identity, firehose: true };
+        this.alive = true;
+    }
+
+    join(room) {
+        this.rooms.add(room);
+    }
+
+    leave(room) {
+        this.rooms.delete(room);
+    }
+
+    // Bytes written but not yet sent
+    get buffered() {
+        return this.ws.bufferedAmount;
+    }
+
+    send(event, payload) {
+        this.write({ type: 'event', event, data: payload });
+    }
+
+    reply(id, data) {
+        this.write({ type: 'reply', id, data });
+    }
+
+    write(message) {
+        if (this.ws.readyState !== WebSocket.OPEN) return;
+
+        this.ws.send(JSON.stringify(message));
+
+        if (this.ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+            console.warn(`🐢 WebSocket client ${this.id} is too slow, disconnecting`);
+            this.ws.close(1013, 'Too slow, resume later');
+        }
+    }
+
+    close(code = 1001, reason = 'Server is shutting down') {
+        this.ws.close(code, reason);
+    }
+}
+
+// Plain WebSocket (RFC 6455) endpoint next to Socket.IO, for clients that don't want
+// a Socket.IO dependency. Every frame is a JSON text message:
+//
+//   client -> server  { "type": "subscribe", "id": 1, "data": { ... } }
+//   server -> client  { "type": "reply", "id": 1, "data": { "success": true, ... } }
+//   server -> client  { "type": "event", "event": "orders:update", "data": { ... } }
+//   server -> client  { "type": "error", "id": 1, "error": "..." }
+//
+// Request types are subscribe, unsubscribe, subscriptions:list, sync, resume, ping
+// and the order:* mutations, with the same data and replies as the Socket.IO events
+// of the same name. `latency:ack` reports a rendered change and gets no reply.
+class RawWebSocketServer {
+    constructor(httpServer, handler, options = {}) {
+        this.handler = handler;
+        this.path = options.path || '/ws';
+        this.heartbeatInterval = options.heartbeatInterval || 30000;
+        this.clients = new Set();
+        this.nextClientId = 1;
+
+        this.wss = new WebSocketServer({ noServer: true, maxPayload: 64 * 1024 });
+        httpServer.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
+        // Ping every client, and drop the ones that didn't answer the previous ping
+        this.heartbeat = setInterval(() => this.checkAlive(), this.heartbeatInterval);
+    }
+
+    // Authenticate the upgrade request like the Socket.IO handshake
+    handleUpgrade(req, socket, head) {
+        const url = new URL(req.url, 'http://localhost');
+        // Socket.IO handles the upgrades on its own path
+        if (url.pathname !== this.path) return;
+
+        const identity = authenticateRequest(req);
+
+        if (!identity) {
+            console.log('🚫 Rejected WebSocket connection: unauthorized');
+            socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+
+        this.wss.handleUpgrade(req, socket, head, (ws) => this.handleConnection(ws, identity));
+    }
+
+    handleConnection(ws, identity) {
+        const client = new RawWebSocketClient(ws, identity, `ws_${this.nextClientId++}`);
+        this.clients.add(client);
+        this.handler.addStreamClient(client);
+
+        ws.on('pong', () => {
+            client.alive = true;
+        });
+
+        ws.on('message', (raw, isBinary) => {
+            this.handleMessage(client, raw, isBinary).catch(err => {
+                console.error('Error handling WebSocket message from', client.id, ':', err);
+            });
+        });
+
+        ws.on('close', () => {
+            this.clients.delete(client);
+            this.handler.removeStreamClient(client);
+        });
+
+        ws.on('error', (error) => {
+            console.error('WebSocket error for client', client.id, ':', error.message);
+        });
+
+        client.send('welcome', {
+            message: 'Connected to real-time order updates',
+            clientId: client.id,
+            connectedAt: client.connectedAt,
+            role: identity.role,
+            banner: this.handler.banner,
+            protocol: PROTOCOL_VERSION
+        });
+    }
+
+    async handleMessage(client, raw, isBinary) {
+        let message;
+        try {
+            message = isBinary ? null : JSON.parse(raw.toString());
+        } catch (err) {
+            message = null;
+        }
+
+        if (!message || typeof message.type !== 'string') {
+            client.write({ type: 'error', error: 'Messages must be JSON objects with a type' });
+            return;
+        }
+
+        const data = message.data || {};
+        let result;
+
+        switch (message.type) {
+        case 'subscribe':
+            result = this.handler.handleSubscribe(client, data);
+            break;
+        case 'unsubscribe':
+            result = this.handler.handleUnsubscribe(client, data);
+            break;
+        case 'subscriptions:list':
+            result = { success: true, subscriptions: this.handler.listSubscriptions(client) };
+            break;
+        case 'sync':
+            result = await this.handler.syncSubscription(client, data);
+            break;
+        case 'resume':
+            result = await this.handler.replayChanges(client, data.lastSequence);
+            break;
+        case 'ping':
+            result = { pong: Date.now() };
+            break;
+        case 'latency:ack':
+            this.handler.latency.recordRender(data.trace, data.renderMs);
+            return;
+        case 'order:create':
+        case 'order:update':
+        case 'order:delete':
+        case 'order:bulkStatus':
+        case 'order:transition':
+            result = await this.handler.handleMutation(client, message.type, data);
+            break;
+        default:
+            client.write({ type: 'error', id: message.id, error: `Unknown message type: ${message.type}` });
+            return;
+        }
+
+        client.reply(message.id, result);
+    }
+
+    checkAlive() {
+        this.clients.forEach(client => {
+            if (!client.alive) {
+                console.log(`💤 WebSocket client ${client.id} stopped answering pings`);
+                client.ws.terminate();
+                return;
+            }
+
+            client.alive = false;
+            client.ws.ping();
+        });
+    }
+
+    close() {
+        clearInterval(this.heartbeat);
+        this.wss.close();
+    }
+}
+
+module.exports = {
+    RawWebSocketServer,
+    RawWebSocketClient,
+    PROTOCOL_VERSION
+};
\ No newline at end of file
@@ -0,0 +1,299 @@
+const { Client } = require('pg');
+const EventEmitter = require('events');
+const { TABLES, normalizeTable, historyTableOf } = require('../config/tables');
+
+const OPERATIONS = {
+    I: 'INSERT',
+    U: 'UPDATE',
+    D: 'DELETE'
+};
+
+// A change's LSN ('16/B374D848') as a number. It grows with every change and stays
+// the same when a change is read again, so it stands in for the change log sequence.
+function lsnToSequence(lsn) {
+    const [high, low] = lsn.split('/');
+    return parseInt(high, 16) * 2 ** 32 + parseInt(low, 16);
+}
+
+// Change source that reads a logical replication slot (wal2json) instead of
+// relying on NOTIFY triggers. It sees every committed change, including bulk
+// COPY loads, writes with triggers disabled and anything written while the
+// server was down. Emits the same events as DatabaseListener.
+class ReplicationListener extends EventEmitter {
+    constructor(dbConfig, options = {}) {
+        super();
+        this.dbConfig = dbConfig;
+        this.tables = options.tables || [normalizeTable('orders', TABLES.orders)];
+        // History tables are read too, their rows go out with the change they record
+        this.capturedTables = this.tables.flatMap(table => (table.history ? [table, historyTableOf(table)] : [table]));
+        this.slotName = options.slotName || 'realtime_orders';
+        this.pollInterval = options.pollInterval || 500;
+        this.batchSize = options.batchSize || 1000;
+        this.client = null;
+        this.pollTimer = null;
+        this.isConnected = false;
+        this.reconnecting = false;
+        this.stopped = false;
+        this.confirmedLsn = null;
+        this.commitOrder = 0;
+        this.reconnectAttempts = 0;
+        this.maxReconnectAttempts = options.maxReconnectAttempts || Infinity;
+        this.reconnectDelay = 1000; // Start with 1 second
+    }
+
+    async connect() {
+        this.stopped = false;
+
+        try {
+            this.client = new Client(this.dbConfig);
+            this.client.on('error', (err) => {
+                console.error('Replication listener error:', err);
+                this.handleDisconnection();
+            });
+
+            await this.client.connect();
+            await this.ensureSlot();
+            await this.checkReplicaIdentity();
+
+            this.isConnected = true;
+            this.reconnectAttempts = 0;
+            console.log(`🔗 Replication listener connected to slot ${this.slotName} (confirmed LSN ${this.confirmedLsn})`);
+
+            this.schedulePoll(0);
+            return this.client;
+        } catch (err) {
+            console.error('Failed to connect replication listener:', err);
+            this.handleDisconnection();
+            throw err;
+        }
+    }
+
+    // Create the slot on first start; afterwards the slot remembers how far we got
+    async ensureSlot() {
+        const result = await this.client.query(
+            'SELECT plugin, confirmed_flush_lsn FROM pg_replication_slots WHERE slot_name = $1',
+            [this.slotName]
+        );
+
+        if (result.rows.length === 0) {
+            const created = await this.client.query(
+                "SELECT lsn FROM pg_create_logical_replication_slot($1, 'wal2json')",
+                [this.slotName]
+            );
+            this.confirmedLsn = created.rows[0].lsn;
+            console.log(`🆕 Created replication slot ${this.slotName}`);
+            return;
+        }
+
+        if (result.rows[0].plugin !== 'wal2json') {
+            throw new Error(`Replication slot ${this.slotName} uses ${result.rows[0].plugin}, expected wal2json`);
+        }
+
+        this.confirmedLsn = result.rows[0].confirmed_flush_lsn;
+    }
+
+    // Updates only carry the previous row when the table logs full rows
+    async checkReplicaIdentity() {
+        const result = await this.client.query(
+            'SELECT relname FROM pg_class WHERE relname = ANY($1) AND relreplident <> $2',
+            [this.tables.map(table => table.name), 'f']
+        );
+
+        result.rows.forEach(row => {
+            console.warn(`⚠️  Table ${row.relname} does not use REPLICA IDENTITY FULL, update events will not include the previous row`);
+        });
+    }
+
+    schedulePoll(delay) {
+        if (this.stopped) return;
+        this.pollTimer = setTimeout(() => this.poll(), delay);
+    }
+
+    async poll() {
+        this.pollTimer = null;
+        if (!this.isConnected) return;
+
+        try {
+            const result = await this.client.query(`
+                SELECT lsn, xid, data
+                FROM pg_logical_slot_peek_changes(
+                    $1, NULL, $2,
+                    'format-version', '2',
+                    'include-xids', '1',
+                    'include-timestamp', '1',
+                    'add-tables', $3
+                )
+            `, [this.slotName, this.batchSize, this.capturedTables.map(table => `public.${table.name}`).join(',')]);
+
+            const lastCommitLsn = this.processChanges(result.rows);
+
+            // Only advance past transactions that were fully emitted. If we crash
+            // before this point the slot hands them to us again on restart.
+            if (lastCommitLsn) {
+                await this.client.query('SELECT pg_replication_slot_advance($1, $2::pg_lsn)', [this.slotName, lastCommitLsn]);
+                this.confirmedLsn = lastCommitLsn;
+            }
+
+            // Keep reading straight away while there is a backlog
+            this.schedulePoll(result.rows.length >= this.batchSize ? 0 : this.pollInterval);
+        } catch (err) {
+            console.error('Error reading replication slot:', err);
+            this.handleDisconnection();
+        }
+    }
+
+    // Emit the changes of every complete transaction and return the LSN of the last commit
+    processChanges(rows) {
+        let transaction = null;
+        let lastCommitLsn = null;
+
+        for (const row of rows) {
+            const message = JSON.parse(row.data);
+
+            if (message.action === 'B') {
+                transaction = { xid: message.xid || row.xid, timestamp: message.timestamp, changes: [] };
+            } else if (message.action === 'C') {
+                if (transaction) {
+                    // Commit time in epoch seconds, like the trigger payload
+                    const committedAt = Date.parse(message.timestamp || transaction.timestamp);
+                    const timestamp = isNaN(committedAt) ? Date.now() / 1000 : committedAt / 1000;
+
+                    const receivedAt = Date.now();
+                    const events = transaction.changes.map(change => ({ ...change, timestamp, lsn: row.lsn, receivedAt }));
+                    events.forEach(event => this.emitChange(event));
+
+                    if (events.length > 0) {
+                        this.emit('transaction', {
+                            txid: transaction.xid,
+                            committedAt: timestamp,
+                            commitOrder: ++this.commitOrder,
+                            events
+                        });
+                    }
+                }
+                transaction = null;
+                lastCommitLsn = row.lsn;
+            } else if (OPERATIONS[message.action] && transaction) {
+                transaction.changes.push(this.toPayload(message, transaction.xid, row.lsn));
+            }
+        }
+
+        return lastCommitLsn;
+    }
+
+    // Convert a wal2json (format 2) change into the payload shape used by the notify trigger
+    toPayload(message, xid, lsn) {
+        const table = this.capturedTables.find(t => t.name === message.table) || normalizeTable(message.table);
+        const operation = OPERATIONS[message.action];
+        const columns = this.toRow(message.columns, table);
+        const identity = this.toRow(message.identity, table);
+
+        const data = operation === 'DELETE' ? identity : columns;
+
+        return {
+            operation,
+            table: table.name,
+            id: data[table.primaryKey],
+            data,
+            old: operation === 'UPDATE' && identity && Object.keys(identity).length > 1 ? identity : null,
+            sequence: lsn ? lsnToSequence(lsn) : null,
+            txid: xid
+        };
+    }
+
+    toRow(columns, table) {
+        if (!columns) return null;
+
+        return columns.reduce((row, column) => {
+            if (table.columns === '*' || table.columns.includes(column.name)) {
+                row[column.name] = column.value;
+            }
+            return row;
+        }, {});
+    }
+
+    // The replication slot remembers its own position, so positions recorded by
+    // other nodes are not needed
+    resumeFrom() {}
+
+    markSeen() {}
+
+    emitChange(payload) {
+        console.log('📢 Replication change received:', {
+            operation: payload.operation,
+            table: payload.table,
+            id: payload.id,
+            lsn: payload.lsn
+        });
+
+        this.emit('dataChange', payload);
+    }
+
+    async closeClient() {
+        if (this.pollTimer) {
+            clearTimeout(this.pollTimer);
+            this.pollTimer = null;
+        }
+
+        if (this.client) {
+            const client = this.client;
+            this.client = null;
+            client.removeAllListeners('error');
+            client.on('error', () => {});
+            try {
+                await client.end();
+            } catch (err) {
+                // The connection is already gone
+            }
+        }
+    }
+
+    async handleDisconnection() {
+        if (this.stopped || this.reconnecting) return;
+
+        this.isConnected = false;
+        this.reconnecting = true;
+        await this.closeClient();
+
+        if (this.reconnectAttempts < this.maxReconnectAttempts) {
+            this.reconnectAttempts++;
+            const delay = Math.min(this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1), 30000);
+
+            const limit = this.maxReconnectAttempts === Infinity ? '∞' : this.maxReconnectAttempts;
+
+            console.log(`🔄 Attempting to reconnect replication listener (attempt ${this.reconnectAttempts}/${limit}) in ${delay}ms`);
+            this.emit('reconnecting', { attempt: this.reconnectAttempts, delay });
+
+            setTimeout(() => {
+                this.reconnecting = false;
+                this.connect().catch(err => {
+                    console.error('Reconnection attempt failed:', err);
+                });
+            }, delay);
+        } else {
+            this.reconnecting = false;
+            console.error('❌ Max reconnection attempts reached. Replication listener stopped.');
+            this.emit('maxReconnectAttemptsReached');
+        }
+    }
+
+    async disconnect() {
+        this.stopped = true;
+        this.isConnected = false;
+        await this.closeClient();
+        console.log('Replication listener disconnected');
+    }
+
+    getStatus() {
+        return {
+            source: 'replication',
+            slot: this.slotName,
+            confirmedLsn: this.confirmedLsn,
+            isConnected: this.isConnected,
+            reconnectAttempts: this.reconnectAttempts,
+            maxReconnectAttempts: this.maxReconnectAttempts
+        };
+    }
+}
+
+module.exports = ReplicationListener;
\ No newline at end of file
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const Sink = require('./sink');
+
+// Appends change events to a file as NDJSON (one JSON object per line). When the
+// file would grow past `maxBytes` it is rotated: changes.ndjson becomes
+// changes.ndjson.1, the previous .1 becomes .2 and so on, keeping `maxFiles`
+// rotated files.
+//
+// path      - file to write, created with its directory if missing
+// maxBytes  - size at which the file is rotated (default 10 MB)
+// maxFiles  - rotated files kept (default 5)
+class FileSink extends Sink {
+    constructor(name, options = {}) {
+        super(name, { batchSize: 100, flushInterval: 1000, ...options });
+
+        if (!options.path) {
+            throw new Error(`Event sink ${name} needs a path`);
+        }
+
+        this.path = path.resolve(options.path);
+        this.maxBytes = options.maxBytes || 10 * 1024 * 1024;
+        this.maxFiles = options.maxFiles || 5;
+        this.size = 0;
+    }
+
+    async open() {
+        await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+
+        try {
+            this.size = (await fs.promises.stat(this.path)).size;
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            this.size = 0;
+        }
+    }
+
+    async write(events) {
+        const lines = events.map(event => JSON.stringify(event)).join('\n') + '\n';
+        const bytes = Buffer.byteLength(lines);
+
+        if (this.size > 0 && this.size + bytes > this.maxBytes) {
+            await this.rotate();
+        }
+
+        await fs.promises.appendFile(this.path, lines);
+        this.size += bytes;
+    }
+
+    // Shift every rotated file up by one, dropping the oldest, and start a new file
+    async rotate() {
+        for (let index = this.maxFiles - 1; index >= 1; index--) {
+            await this.renameIfExists(`${this.path}.${index}`, `${this.path}.${index + 1}`);
+        }
+        await this.renameIfExists(this.path, `${this.path}.1`);
+
+        this.size = 0;
+        console.log(`🗂️  Event sink ${this.name} rotated ${this.path}`);
+    }
+
+    async renameIfExists(from, to) {
+        try {
+            await fs.promises.rename(from, to);
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+    }
+
+    getStats() {
+        return {
+            ...super.getStats(),
+            path: this.path,
+            size: this.size
+        };
+    }
+}
+
+module.exports = FileSink;
\ No newline at end of file
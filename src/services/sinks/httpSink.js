@@ -0,0 +1,50 @@
+const Sink = require('./sink');
+
+// POSTs change events in batches as `{ sink, count, events: [...] }` JSON. Any answer
+// other than 2xx, or none within `timeout`, fails the write and the batch is retried.
+//
+// url      - endpoint to POST to
+// headers  - extra request headers, e.g. an Authorization header
+// timeout  - how long the endpoint has to answer, in ms (default 10000)
+class HttpSink extends Sink {
+    constructor(name, options = {}) {
+        super(name, { batchSize: 100, flushInterval: 2000, ...options });
+
+        if (!options.url) {
+            throw new Error(`Event sink ${name} needs a url`);
+        }
+
+        this.url = options.url;
+        this.headers = options.headers || {};
+        this.timeout = options.timeout || 10000;
+    }
+
+    async write(events) {
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'realtime-db-updates-sink/1.0',
+                ...this.headers
+            },
+            body: JSON.stringify({ sink: this.name, count: events.length, events }),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        // The body isn't used, but has to be consumed to free the connection
+        await response.arrayBuffer().catch(() => {});
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} from ${this.url}`);
+        }
+    }
+
+    getStats() {
+        return {
+            ...super.getStats(),
+            url: this.url
+        };
+    }
+}
+
+module.exports = HttpSink;
\ No newline at end of file
@@ -0,0 +1,81 @@
+const FileSink = require('./fileSink');
+const StdoutSink = require('./stdoutSink');
+const HttpSink = require('./httpSink');
+const RedisSink = require('./redisSink');
+
+// Sink implementations by the `type` of a sink definition
+const SINK_TYPES = {
+    file: FileSink,
+    stdout: StdoutSink,
+    http: HttpSink,
+    redis: RedisSink
+};
+
+function createSink(name, definition) {
+    const Type = SINK_TYPES[definition.type];
+    if (!Type) {
+        throw new Error(`Unknown type for event sink ${name}: ${definition.type} (expected ${Object.keys(SINK_TYPES).join(', ')})`);
+    }
+
+    return new Type(name, definition);
+}
+
+// Pipes every change event the WebSocket handler broadcasts into the configured
+// sinks (see src/config/sinks.js). Each sink filters, queues and writes on its
+// own, so a slow or failing sink neither delays the others nor the broadcast.
+class SinkBridge {
+    constructor(definitions = {}) {
+        this.sinks = Object.keys(definitions).map(name => createSink(name, definitions[name]));
+    }
+
+    get size() {
+        return this.sinks.length;
+    }
+
+    // Open every sink; one that can't open is logged and gets no events
+    async start() {
+        const opened = await Promise.all(this.sinks.map(async (sink) => {
+            try {
+                await sink.open();
+                return sink;
+            } catch (err) {
+                console.error(`❌ Event sink ${sink.name} failed to open, disabling it:`, err.message);
+                return null;
+            }
+        }));
+
+        this.sinks = opened.filter(Boolean);
+        if (this.sinks.length > 0) {
+            console.log(`🚰 Event sinks: ${this.sinks.map(sink => `${sink.name} (${sink.type})`).join(', ')}`);
+        }
+    }
+
+    publish(messages) {
+        for (const sink of this.sinks) {
+            for (const message of messages) {
+                try {
+                    sink.push(message);
+                } catch (err) {
+                    console.error(`Event sink ${sink.name} rejected change #${message.sequence}:`, err.message);
+                }
+            }
+        }
+    }
+
+    // Flush what is queued and close the sinks
+    async stop() {
+        await Promise.all(this.sinks.map(sink => sink.close().catch(err => {
+            console.error(`Error closing event sink ${sink.name}:`, err.message);
+        })));
+    }
+
+    getStats() {
+        return this.sinks.map(sink => sink.getStats());
+    }
+}
+
+module.exports = {
+    SinkBridge,
+    createSink,
+    SINK_TYPES
+};
\ No newline at end of file
@@ -0,0 +1,80 @@
+const { createClient } = require('redis');
+const Sink = require('./sink');
+
+// Publishes each change event as JSON on a Redis pub/sub channel. The channel can
+// name the event's table and operation, e.g. `changes:{table}:{operation}`
+// publishes to changes:orders:update. A batch goes out in one MULTI. While Redis is
+// unreachable writes fail and are retried; the client reconnects by itself.
+//
+// url      - Redis URL (default redis://localhost:6379)
+// channel  - channel name, with optional {table} and {operation} (default changes:{table})
+class RedisSink extends Sink {
+    constructor(name, options = {}) {
+        super(name, { batchSize: 50, flushInterval: 100, ...options });
+
+        this.url = options.url || 'redis://localhost:6379';
+        this.channel = options.channel || 'changes:{table}';
+        this.lastConnectionError = null;
+        this.client = createClient({
+            url: this.url,
+            // Fail writes while disconnected instead of buffering them in the client,
+            // the sink's queue holds them
+            disableOfflineQueue: true
+        });
+
+        this.client.on('error', (err) => {
+            // The client retries forever, log each distinct error once
+            if (err.message !== this.lastConnectionError) {
+                this.lastConnectionError = err.message;
+                console.error(`Event sink ${this.name} Redis error:`, err.message);
+            }
+        });
+
+        this.client.on('ready', () => {
+            this.lastConnectionError = null;
+            console.log(`🔗 Event sink ${this.name} connected to Redis`);
+        });
+    }
+
+    // Connect in the background, so an unreachable Redis doesn't hold up the server
+    async open() {
+        this.client.connect().catch(err => {
+            console.error(`Event sink ${this.name} could not connect to Redis:`, err.message);
+        });
+    }
+
+    channelFor(event) {
+        return this.channel
+            .replace('{table}', event.table)
+            .replace('{operation}', event.operation);
+    }
+
+    async write(events) {
+        if (!this.client.isReady) {
+            throw new Error(`Not connected to Redis at ${this.url}`);
+        }
+
+        const multi = this.client.multi();
+        events.forEach(event => multi.publish(this.channelFor(event), JSON.stringify(event)));
+        await multi.exec();
+    }
+
+    // QUIT needs a connection, a client still trying to connect is just dropped
+    async end() {
+        if (this.client.isReady) {
+            await this.client.quit().catch(() => {});
+        } else if (this.client.isOpen) {
+            await this.client.disconnect().catch(() => {});
+        }
+    }
+
+    getStats() {
+        return {
+            ...super.getStats(),
+            channel: this.channel,
+            connected: this.client.isReady
+        };
+    }
+}
+
+module.exports = RedisSink;
\ No newline at end of file
@@ -0,0 +1,175 @@
+const { compileFilter, MATCH_ALL } = require('../filterExpression');
+const { metrics } = require('../metrics');
+
+// Base class of the event sinks. A sink keeps the change events that pass its
+// filters in a queue of its own and writes them in batches with `write(events)`,
+// which subclasses implement. A failing write is retried with backoff while new
+// events queue up; past `maxQueue` the oldest are dropped. Nothing a sink does can
+// throw into the broadcast that feeds it.
+//
+// tables         - only events of these tables (all when omitted)
+// operations     - only these operations: insert, update, delete (all when omitted)
+// filter         - filter expression on the row, as for subscriptions
+// batchSize      - events per write
+// flushInterval  - longest time an event waits for its batch to fill, in ms
+// maxQueue       - events kept while the sink can't keep up or is failing
+class Sink {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.type = options.type;
+        this.tables = options.tables || null;
+        this.operations = options.operations || null;
+        this.filterSource = options.filter || null;
+        this.filter = options.filter ? compileFilter(options.filter) : MATCH_ALL;
+        this.batchSize = options.batchSize || 1;
+        this.flushInterval = options.flushInterval || 1000;
+        this.maxQueue = options.maxQueue || 10000;
+        this.retryDelay = options.retryDelay || 1000;
+        this.maxRetryDelay = options.maxRetryDelay || 30000;
+
+        this.queue = [];
+        this.timer = null;
+        this.flushing = false;
+        this.failures = 0; // consecutive failed writes
+        this.closed = false;
+        this.stats = { written: 0, dropped: 0, failedWrites: 0, lastError: null, lastErrorAt: null };
+    }
+
+    // Connect or open whatever the sink writes to
+    async open() {}
+
+    // Write a batch of events; throw to have it retried
+    async write(events) {
+        throw new Error(`${this.constructor.name} does not implement write()`);
+    }
+
+    // Release the connection or file after the last flush
+    async end() {}
+
+    accepts(message) {
+        if (this.tables && !this.tables.includes(message.table)) return false;
+        if (this.operations && !this.operations.includes(message.operation)) return false;
+
+        // Updates match when the row matched before or after, like subscriptions
+        return this.filter.matches(message.data, message.changedFields) ||
+            Boolean(message.previous && !this.filter.usesChanged && this.filter.matches(message.previous));
+    }
+
+    push(message) {
+        if (this.closed || !this.accepts(message)) return;
+
+        this.queue.push(message);
+        this.trimQueue();
+
+        // While failing, the retry timer flushes
+        if (this.failures > 0) return;
+
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.flushInterval);
+        }
+    }
+
+    // Drop the oldest events past maxQueue
+    trimQueue() {
+        if (this.queue.length <= this.maxQueue) return;
+
+        const dropped = this.queue.length - this.maxQueue;
+        this.queue.splice(0, dropped);
+        this.stats.dropped += dropped;
+        metrics.sinkEvents.inc({ sink: this.name, outcome: 'dropped' }, dropped);
+    }
+
+    // Write out the queue batch by batch; stops at the first failure and retries later
+    async flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.flushing) return;
+        this.flushing = true;
+
+        try {
+            while (this.queue.length > 0) {
+                const batch = this.queue.splice(0, this.batchSize);
+
+                try {
+                    await this.write(batch);
+                } catch (err) {
+                    // Back to the front of the queue, in order
+                    this.queue.unshift(...batch);
+                    this.trimQueue();
+                    this.handleFailure(err);
+                    return;
+                }
+
+                this.stats.written += batch.length;
+                metrics.sinkEvents.inc({ sink: this.name, outcome: 'written' }, batch.length);
+
+                if (this.failures > 0) {
+                    console.log(`✅ Event sink ${this.name} recovered after ${this.failures} failed writes`);
+                    this.failures = 0;
+                }
+
+                // Only full batches go out before the flush interval
+                if (!this.closed && this.queue.length < this.batchSize) break;
+            }
+
+            if (this.queue.length > 0 && !this.timer && !this.closed) {
+                this.timer = setTimeout(() => this.flush(), this.flushInterval);
+            }
+        } finally {
+            this.flushing = false;
+        }
+    }
+
+    handleFailure(err) {
+        this.failures++;
+        this.stats.failedWrites++;
+        this.stats.lastError = err.message;
+        this.stats.lastErrorAt = new Date();
+        metrics.sinkFailures.inc({ sink: this.name });
+
+        const delay = Math.min(this.retryDelay * Math.pow(2, this.failures - 1), this.maxRetryDelay);
+
+        // Log the first failure and then every tenth, a sink that is down fails a lot
+        if (this.failures === 1 || this.failures % 10 === 0) {
+            console.error(`⚠️  Event sink ${this.name} failed to write (${this.failures} in a row, ${this.queue.length} queued), retrying in ${delay}ms:`, err.message);
+        }
+
+        if (!this.closed) {
+            this.timer = setTimeout(() => this.flush(), delay);
+        }
+    }
+
+    // Try one last flush and close; events that still can't be written are lost
+    async close() {
+        this.closed = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (!this.flushing) {
+            await this.flush();
+        }
+
+        if (this.queue.length > 0) {
+            console.warn(`⚠️  Event sink ${this.name} closed with ${this.queue.length} unwritten events`);
+        }
+
+        await this.end();
+    }
+
+    getStats() {
+        return {
+            name: this.name,
+            type: this.type,
+            tables: this.tables,
+            operations: this.operations,
+            filter: this.filterSource,
+            queued: this.queue.length,
+            failing: this.failures > 0,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = Sink;
\ No newline at end of file
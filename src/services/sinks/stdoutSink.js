@@ -0,0 +1,21 @@
+const Sink = require('./sink');
+
+// Writes change events to stdout as NDJSON for a log shipper to pick up. Server
+// logs go to stdout too; shippers can keep the lines starting with `{`, or use
+// `stream: 'stderr'` to keep events apart.
+class StdoutSink extends Sink {
+    constructor(name, options = {}) {
+        super(name, options);
+        this.stream = options.stream === 'stderr' ? process.stderr : process.stdout;
+    }
+
+    write(events) {
+        const lines = events.map(event => JSON.stringify(event)).join('\n') + '\n';
+
+        return new Promise((resolve, reject) => {
+            this.stream.write(lines, err => (err ? reject(err) : resolve()));
+        });
+    }
+}
+
+module.exports = StdoutSink;
\ No newline at end of file
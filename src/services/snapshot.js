@@ -0,0 +1,90 @@
+const { pool } = require('../config/database');
+
+const XID_RANGE = Math.pow(2, 32);
+
+// Parse the text form of txid_current_snapshot(), `xmin:xmax:xip,xip,...`
+function parseSnapshot(text) {
+    const [xmin, xmax, xip] = text.split(':');
+
+    return {
+        xmin: parseInt(xmin),
+        xmax: parseInt(xmax),
+        xip: xip ? xip.split(',').map(id => parseInt(id)) : [],
+        text
+    };
+}
+
+// True when a transaction had committed before the snapshot was taken, so its
+// changes are already part of the rows read under it. Replication slots report
+// 32-bit transaction ids, those get the snapshot's epoch added first.
+function isVisible(snapshot, txid) {
+    if (txid === null || txid === undefined) return false;
+
+    let id = parseInt(txid);
+    if (id < XID_RANGE && snapshot.xmin >= XID_RANGE) {
+        id += Math.floor(snapshot.xmin / XID_RANGE) * XID_RANGE;
+    }
+
+    if (id < snapshot.xmin) return true;
+    if (id >= snapshot.xmax) return false;
+    return !snapshot.xip.includes(id);
+}
+
+// Reads the rows of a table together with the change stream position they
+// correspond to. Everything is read in one repeatable-read transaction, so the
+// rows and the snapshot describe the same moment.
+class SnapshotReader {
+    constructor(options = {}) {
+        this.pool = options.pool || pool;
+    }
+
+    // Read the exposed columns of `table` where `where(escapeIdentifier)` holds.
+    // `where` returns { text, values }. Returns { rows, truncated, sequence, snapshot }.
+    async read(table, where, limit) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+
+            // The first query of the transaction fixes its snapshot
+            const position = await client.query(`
+                SELECT txid_current_snapshot()::text AS snapshot,
+                       (SELECT MAX(seq) FROM change_log) AS sequence
+            `);
+
+            const escape = (name) => client.escapeIdentifier(name);
+            const columns = table.columns === '*' ? '*' : table.columns.map(escape).join(', ');
+            const condition = where(escape);
+
+            const result = await client.query(`
+                SELECT ${columns}
+                FROM ${escape(table.name)}
+                WHERE ${condition.text}
+                ORDER BY ${escape(table.primaryKey)}
+                LIMIT ${limit + 1}
+            `, condition.values);
+
+            await client.query('COMMIT');
+
+            const { snapshot, sequence } = position.rows[0];
+
+            return {
+                rows: result.rows.slice(0, limit),
+                truncated: result.rows.length > limit,
+                sequence: sequence === null ? null : parseInt(sequence),
+                snapshot: parseSnapshot(snapshot)
+            };
+        } catch (err) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+}
+
+module.exports = {
+    SnapshotReader,
+    parseSnapshot,
+    isVisible
+};
\ No newline at end of file
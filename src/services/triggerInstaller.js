@@ -0,0 +1,195 @@
+const { pool } = require('../config/database');
+const { historyTableOf } = require('../config/tables');
+
+// Arguments passed to notify_table_change() for a table definition
+function triggerArguments(table) {
+    const columns = table.columns === '*' ? '*' : table.columns.join(',');
+    return [table.channel, table.primaryKey, columns];
+}
+
+function triggerName(table) {
+    return `${table.name}_change_trigger`;
+}
+
+function commitTriggerName(table) {
+    return `${table.name}_commit_trigger`;
+}
+
+async function verifyFunctions(client) {
+    const required = ['notify_table_change', 'notify_transaction_commit'];
+    const result = await client.query(
+        'SELECT proname FROM pg_proc WHERE proname = ANY($1)',
+        [required]
+    );
+
+    const existing = result.rows.map(row => row.proname);
+    const missing = required.filter(name => !existing.includes(name));
+
+    if (missing.length > 0) {
+        throw new Error(`${missing.join('(), ')}() missing, run database/schema.sql first`);
+    }
+}
+
+// Check that the table and every exposed column exist
+async function verifyTable(client, table) {
+    const result = await client.query(`
+        SELECT column_name
+        FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = $1
+    `, [table.name]);
+
+    if (result.rows.length === 0) {
+        throw new Error(`table "${table.name}" does not exist`);
+    }
+
+    const existing = result.rows.map(row => row.column_name);
+    const required = table.columns === '*' ? [table.primaryKey] : table.columns;
+    const missing = required.filter(column => !existing.includes(column));
+
+    if (missing.length > 0) {
+        throw new Error(`table "${table.name}" is missing columns: ${missing.join(', ')}`);
+    }
+}
+
+// Get the arguments of an installed trigger, if any
+async function getInstalledArguments(client, table, name, functionName) {
+    const result = await client.query(`
+        SELECT encode(t.tgargs, 'escape') AS args
+        FROM pg_trigger t
+        JOIN pg_class c ON c.oid = t.tgrelid
+        JOIN pg_proc p ON p.oid = t.tgfoid
+        WHERE c.relname = $1 AND t.tgname = $2 AND p.proname = $3
+    `, [table.name, name, functionName]);
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    // tgargs is a list of null-terminated strings
+    return result.rows[0].args.split('\\000').filter(arg => arg !== '');
+}
+
+// True when both the change trigger and the commit marker trigger are up to date
+async function isInstalled(client, table) {
+    const changeArgs = await getInstalledArguments(client, table, triggerName(table), 'notify_table_change');
+    const commitArgs = await getInstalledArguments(client, table, commitTriggerName(table), 'notify_transaction_commit');
+
+    return Boolean(changeArgs && commitArgs) &&
+        changeArgs.join('|') === triggerArguments(table).join('|') &&
+        commitArgs.join('|') === table.channel;
+}
+
+async function installTrigger(client, table) {
+    const name = client.escapeIdentifier(triggerName(table));
+    const commitName = client.escapeIdentifier(commitTriggerName(table));
+    const tableName = client.escapeIdentifier(table.name);
+    const args = triggerArguments(table).map(arg => client.escapeLiteral(arg)).join(', ');
+
+    await client.query('BEGIN');
+    try {
+        await client.query(`DROP TRIGGER IF EXISTS ${name} ON ${tableName}`);
+        await client.query(`
+            CREATE TRIGGER ${name}
+                AFTER INSERT OR UPDATE OR DELETE ON ${tableName}
+                FOR EACH ROW
+                EXECUTE FUNCTION notify_table_change(${args})
+        `);
+
+        // Deferred so it runs at COMMIT, after all of the transaction's changes
+        await client.query(`DROP TRIGGER IF EXISTS ${commitName} ON ${tableName}`);
+        await client.query(`
+            CREATE CONSTRAINT TRIGGER ${commitName}
+                AFTER INSERT OR UPDATE OR DELETE ON ${tableName}
+                DEFERRABLE INITIALLY DEFERRED
+                FOR EACH ROW
+                EXECUTE FUNCTION notify_transaction_commit(${client.escapeLiteral(table.channel)})
+        `);
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    }
+}
+
+// Make sure the history table of `table` sends its changes on the table's channel.
+// Without it change events just don't carry their history entry.
+async function installHistoryTrigger(client, table) {
+    const history = historyTableOf(table);
+
+    try {
+        await verifyTable(client, history);
+
+        if (await isInstalled(client, history)) {
+            console.log(`✅ History trigger verified for table ${history.name}`);
+        } else {
+            await installTrigger(client, history);
+            console.log(`🔧 History trigger installed for table ${history.name}`);
+        }
+    } catch (err) {
+        console.error(`❌ Change events of table ${table.name} won't carry their history:`, err.message);
+    }
+}
+
+// Make sure every tracked table has an up to date change trigger.
+// Returns the tables that are ready; tables that fail verification are skipped.
+async function installTriggers(tables) {
+    const client = await pool.connect();
+    const ready = [];
+
+    try {
+        await verifyFunctions(client);
+
+        for (const table of tables) {
+            try {
+                await verifyTable(client, table);
+
+                if (await isInstalled(client, table)) {
+                    console.log(`✅ Change trigger verified for table ${table.name}`);
+                } else {
+                    await installTrigger(client, table);
+                    console.log(`🔧 Change trigger installed for table ${table.name}`);
+                }
+
+                if (table.history) {
+                    await installHistoryTrigger(client, table);
+                }
+
+                ready.push(table);
+            } catch (err) {
+                console.error(`❌ Skipping change capture for table ${table.name}:`, err.message);
+            }
+        }
+    } finally {
+        client.release();
+    }
+
+    return ready;
+}
+
+// Check the tracked tables without installing anything, for change sources that
+// don't need the triggers. Returns the tables that are ready.
+async function verifyTables(tables) {
+    const client = await pool.connect();
+    const ready = [];
+
+    try {
+        for (const table of tables) {
+            try {
+                await verifyTable(client, table);
+                ready.push(table);
+            } catch (err) {
+                console.error(`❌ Skipping change capture for table ${table.name}:`, err.message);
+            }
+        }
+    } finally {
+        client.release();
+    }
+
+    return ready;
+}
+
+module.exports = {
+    installTriggers,
+    verifyTables,
+    triggerArguments
+};
\ No newline at end of file
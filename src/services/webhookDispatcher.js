@@ -0,0 +1,293 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { compileFilter, MATCH_ALL } = require('./filterExpression');
+const { diffRows, isNoopUpdate } = require('../utils/rowDiff');
+const { isHistoryTable } = require('../config/tables');
+const WebhookStore = require('./webhookStore');
+
+// HMAC-SHA256 of `<timestamp>.<body>` with the webhook's secret, sent as
+// `X-Webhook-Signature: sha256=<hex>`. Receivers recompute it over the raw body
+// and reject old timestamps to stop replays.
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Delivers change events to registered webhooks. Changes are matched against each
+// webhook's events and filter and written to the webhook_deliveries queue; a worker
+// on every node claims due deliveries (SKIP LOCKED, so nodes never send the same
+// one together), POSTs them and retries failures with exponential backoff until
+// `maxAttempts`, after which the delivery is dead-lettered. Delivery is at least
+// once: a node dying mid-request leaves the delivery to be claimed again.
+class WebhookDispatcher {
+    constructor(options = {}) {
+        this.pool = options.pool || pool;
+        this.store = options.store || new WebhookStore({ pool: this.pool });
+        this.maxAttempts = options.maxAttempts || 8;
+        this.retryDelay = options.retryDelay || 2000;
+        this.maxRetryDelay = options.maxRetryDelay || 60 * 60 * 1000;
+        this.timeout = options.timeout || 10000;
+        this.batchSize = options.batchSize || 20;
+        this.pollInterval = options.pollInterval || 5000;
+        this.retentionDays = options.retentionDays || 7;
+        this.cacheTtl = options.cacheTtl || 5000;
+
+        this.webhooks = null;
+        this.loadedAt = 0;
+        this.pollTimer = null;
+        this.polling = false;
+        this.pollAgain = false;
+        this.stopped = true;
+        this.lastCleanup = 0;
+    }
+
+    // Forget the cached webhooks after one was created, changed or removed
+    invalidate() {
+        this.webhooks = null;
+    }
+
+    async getWebhooks() {
+        if (this.webhooks && Date.now() - this.loadedAt < this.cacheTtl) {
+            return this.webhooks;
+        }
+
+        const rows = await this.store.getActive();
+        this.webhooks = rows.map(webhook => ({
+            ...webhook,
+            compiledFilter: webhook.filter ? compileFilter(webhook.filter) : MATCH_ALL
+        }));
+        this.loadedAt = Date.now();
+        return this.webhooks;
+    }
+
+    matches(webhook, change) {
+        const { event, table, operation, data, previous, changedFields } = change;
+
+        const selected = webhook.events.some(pattern => pattern === '*' || pattern === event || pattern === `${table}:*`);
+        if (!selected) return false;
+
+        const filter = webhook.compiledFilter;
+        // Updates match when the row matched before or after, like subscriptions
+        return filter.matches(data, operation === 'update' ? changedFields : undefined) ||
+            Boolean(previous && !filter.usesChanged && filter.matches(previous));
+    }
+
+    // Queue a change from the change source for every webhook it matches
+    async handleChange(change) {
+        // History rows (order_events) belong to their table's change, not webhooks of their own
+        if (isHistoryTable(change.table)) return;
+
+        const operation = change.operation.toLowerCase();
+        const previous = operation === 'update' ? change.old || null : null;
+        const changedFields = previous ? diffRows(previous, change.data) : null;
+
+        // Nothing but bookkeeping fields changed
+        if (isNoopUpdate(changedFields)) return;
+
+        const payload = {
+            event: `${change.table}:${operation}`,
+            table: change.table,
+            operation,
+            sequence: change.sequence === undefined ? null : change.sequence,
+            txid: change.txid === undefined ? null : change.txid,
+            requestId: change.requestId || null,
+            data: change.data,
+            previous,
+            changedFields,
+            timestamp: new Date(change.timestamp * 1000)
+        };
+
+        const webhooks = (await this.getWebhooks()).filter(webhook => this.matches(webhook, payload));
+        if (webhooks.length === 0) return;
+
+        await Promise.all(webhooks.map(webhook => this.enqueue(webhook.id, payload)));
+        this.poke();
+    }
+
+    // Queue a test event for one webhook
+    async ping(webhookId) {
+        const delivery = await this.enqueue(webhookId, {
+            event: 'webhook:ping',
+            webhookId,
+            timestamp: new Date()
+        });
+        this.poke();
+        return delivery;
+    }
+
+    async enqueue(webhookId, payload) {
+        // A change replayed after a reconnect has the same sequence, and is queued once
+        const result = await this.pool.query(`
+            INSERT INTO webhook_deliveries (webhook_id, event, sequence, payload)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (webhook_id, sequence) DO NOTHING
+            RETURNING id, event, sequence, status
+        `, [webhookId, payload.event, payload.sequence === undefined ? null : payload.sequence, payload]);
+
+        return result.rows[0] || null;
+    }
+
+    start() {
+        this.stopped = false;
+        this.schedulePoll(0);
+        console.log('🪝 Webhook dispatcher started');
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+    }
+
+    // Deliver right away instead of at the next poll
+    poke() {
+        if (this.stopped) return;
+
+        if (this.polling) {
+            this.pollAgain = true;
+        } else {
+            this.schedulePoll(0);
+        }
+    }
+
+    schedulePoll(delay) {
+        clearTimeout(this.pollTimer);
+        this.pollTimer = setTimeout(() => this.poll(), delay);
+    }
+
+    async poll() {
+        if (this.stopped || this.polling) return;
+        this.polling = true;
+        this.pollAgain = false;
+
+        let claimed = 0;
+        try {
+            const deliveries = await this.claim();
+            claimed = deliveries.length;
+            await Promise.all(deliveries.map(delivery => this.deliver(delivery)));
+            await this.cleanup();
+        } catch (err) {
+            console.error('Error delivering webhooks:', err.message);
+        } finally {
+            this.polling = false;
+        }
+
+        if (this.stopped) return;
+        // A full batch means more may be due
+        this.schedulePoll(this.pollAgain || claimed === this.batchSize ? 0 : this.pollInterval);
+    }
+
+    // Claim due deliveries of active webhooks. The claim pushes next_attempt_at past
+    // the request timeout, so a delivery whose node died is picked up again later.
+    async claim() {
+        const result = await this.pool.query(`
+            UPDATE webhook_deliveries d
+            SET attempts = d.attempts + 1,
+                next_attempt_at = NOW() + make_interval(secs => $2)
+            FROM webhooks w
+            WHERE w.id = d.webhook_id
+              AND d.id IN (
+                  SELECT q.id
+                  FROM webhook_deliveries q
+                  JOIN webhooks h ON h.id = q.webhook_id
+                  WHERE q.status = 'pending' AND q.next_attempt_at <= NOW() AND h.active
+                  ORDER BY q.id
+                  LIMIT $1
+                  FOR UPDATE OF q SKIP LOCKED
+              )
+            RETURNING d.id, d.webhook_id, d.event, d.payload, d.attempts, w.url, w.secret
+        `, [this.batchSize, Math.ceil(this.timeout / 1000) * 2]);
+
+        return result.rows;
+    }
+
+    async deliver(delivery) {
+        const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+        const timestamp = Math.floor(Date.now() / 1000);
+        const startedAt = Date.now();
+        let statusCode = null;
+        let error = null;
+
+        try {
+            const response = await fetch(delivery.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'realtime-db-updates-webhooks/1.0',
+                    'X-Webhook-Id': String(delivery.webhook_id),
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': String(delivery.id),
+                    'X-Webhook-Attempt': String(delivery.attempts),
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': `sha256=${signPayload(delivery.secret, timestamp, body)}`
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(this.timeout)
+            });
+
+            statusCode = response.status;
+            // The body isn't used, but has to be consumed to free the connection
+            await response.arrayBuffer().catch(() => {});
+
+            if (!response.ok) {
+                error = `HTTP ${response.status}`;
+            }
+        } catch (err) {
+            error = err.name === 'TimeoutError' ? `Timed out after ${this.timeout}ms` : (err.cause && err.cause.message) || err.message;
+        }
+
+        await this.recordAttempt(delivery, statusCode, error, Date.now() - startedAt);
+    }
+
+    async recordAttempt(delivery, statusCode, error, durationMs) {
+        await this.pool.query(`
+            INSERT INTO webhook_delivery_attempts (delivery_id, attempt, status_code, error, duration_ms)
+            VALUES ($1, $2, $3, $4, $5)
+        `, [delivery.id, delivery.attempts, statusCode, error, durationMs]);
+
+        if (!error) {
+            await this.pool.query(`
+                UPDATE webhook_deliveries
+                SET status = 'delivered', delivered_at = NOW(), last_status_code = $2, last_error = NULL
+                WHERE id = $1
+            `, [delivery.id, statusCode]);
+            return;
+        }
+
+        const dead = delivery.attempts >= this.maxAttempts;
+        const delay = Math.min(this.retryDelay * Math.pow(2, delivery.attempts - 1), this.maxRetryDelay);
+
+        await this.pool.query(`
+            UPDATE webhook_deliveries
+            SET status = $2, last_status_code = $3, last_error = $4,
+                next_attempt_at = NOW() + make_interval(secs => $5)
+            WHERE id = $1
+        `, [delivery.id, dead ? 'dead' : 'pending', statusCode, error, delay / 1000]);
+
+        if (dead) {
+            console.warn(`☠️  Webhook delivery ${delivery.id} (${delivery.event}) to ${delivery.url} failed ${delivery.attempts} times, dead-lettered: ${error}`);
+        } else {
+            console.warn(`🔁 Webhook delivery ${delivery.id} to ${delivery.url} failed (${error}), retrying in ${delay}ms`);
+        }
+    }
+
+    // Drop deliveries older than the retention period, at most once an hour
+    async cleanup() {
+        if (Date.now() - this.lastCleanup < 60 * 60 * 1000) return;
+        this.lastCleanup = Date.now();
+
+        const result = await this.pool.query(`
+            DELETE FROM webhook_deliveries
+            WHERE status <> 'pending' AND created_at < NOW() - make_interval(days => $1)
+        `, [this.retentionDays]);
+
+        if (result.rowCount > 0) {
+            console.log(`🧹 Removed ${result.rowCount} webhook deliveries older than ${this.retentionDays} days`);
+        }
+    }
+}
+
+module.exports = {
+    WebhookDispatcher,
+    signPayload
+};
\ No newline at end of file
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { compileFilter, FilterSyntaxError } = require('./filterExpression');
+const { ServiceError } = require('./orderService');
+
+const OPERATIONS = ['insert', 'update', 'delete', '*'];
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+// Columns returned for a webhook; the secret is only shown when it is created
+const WEBHOOK_COLUMNS = 'id, url, events, filter, description, active, created_at, updated_at';
+
+function parseId(id, name = 'webhook ID') {
+    const parsed = parseInt(id);
+    if (isNaN(parsed)) {
+        throw new ServiceError(`Invalid ${name}`);
+    }
+    return parsed;
+}
+
+function validateUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (err) {
+        parsed = null;
+    }
+
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        throw new ServiceError('url must be an http or https URL');
+    }
+    return parsed.toString();
+}
+
+// Events are `*`, `<table>:*` or `<table>:<insert|update|delete>`
+function validateEvents(events) {
+    if (!Array.isArray(events) || events.length === 0) {
+        throw new ServiceError('events must be a non-empty array, e.g. ["orders:update"] or ["*"]');
+    }
+
+    events.forEach(event => {
+        const [table, operation] = String(event).split(':');
+        if (event !== '*' && (!table || !OPERATIONS.includes(operation))) {
+            throw new ServiceError(`Invalid event: ${event}`, 400, { allowed: ['*', '<table>:*', '<table>:insert', '<table>:update', '<table>:delete'] });
+        }
+    });
+    return events.map(String);
+}
+
+function validateFilter(filter) {
+    if (filter === null || filter === undefined || filter === '') return null;
+
+    try {
+        compileFilter(String(filter));
+    } catch (err) {
+        if (err instanceof FilterSyntaxError) {
+            throw new ServiceError(`Invalid filter: ${err.message}`);
+        }
+        throw err;
+    }
+    return String(filter);
+}
+
+// Registered webhooks and their delivery log
+class WebhookStore {
+    constructor(options = {}) {
+        this.pool = options.pool || pool;
+    }
+
+    async list() {
+        const result = await this.pool.query(`
+            SELECT ${WEBHOOK_COLUMNS},
+                   (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'pending')::int AS pending,
+                   (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'dead')::int AS dead
+            FROM webhooks w
+            ORDER BY id
+        `);
+        return result.rows;
+    }
+
+    async get(id) {
+        const result = await this.pool.query(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = $1`, [parseId(id)]);
+
+        if (result.rows.length === 0) {
+            throw new ServiceError('Webhook not found', 404);
+        }
+        return result.rows[0];
+    }
+
+    // Every active webhook with its secret, for the dispatcher
+    async getActive() {
+        const result = await this.pool.query(`SELECT ${WEBHOOK_COLUMNS}, secret FROM webhooks WHERE active`);
+        return result.rows;
+    }
+
+    // Register a webhook. Without a secret one is generated; either way it is
+    // returned here and never again.
+    async create(data = {}) {
+        if (data.secret !== undefined && (typeof data.secret !== 'string' || data.secret.length < 16)) {
+            throw new ServiceError('secret must be a string of at least 16 characters');
+        }
+
+        const result = await this.pool.query(`
+            INSERT INTO webhooks (url, secret, events, filter, description, active)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING ${WEBHOOK_COLUMNS}, secret
+        `, [
+            validateUrl(data.url),
+            data.secret || crypto.randomBytes(32).toString('hex'),
+            validateEvents(data.events || ['*']),
+            validateFilter(data.filter),
+            data.description || null,
+            data.active !== false
+        ]);
+
+        console.log('🪝 Webhook registered:', result.rows[0].id, result.rows[0].url);
+        return result.rows[0];
+    }
+
+    async update(id, data = {}) {
+        const fields = {};
+        if (data.url !== undefined) fields.url = validateUrl(data.url);
+        if (data.events !== undefined) fields.events = validateEvents(data.events);
+        if (data.filter !== undefined) fields.filter = validateFilter(data.filter);
+        if (data.description !== undefined) fields.description = data.description || null;
+        if (data.active !== undefined) fields.active = Boolean(data.active);
+        if (data.secret !== undefined) {
+            if (typeof data.secret !== 'string' || data.secret.length < 16) {
+                throw new ServiceError('secret must be a string of at least 16 characters');
+            }
+            fields.secret = data.secret;
+        }
+
+        const updates = Object.keys(fields);
+        if (updates.length === 0) {
+            throw new ServiceError('No fields to update');
+        }
+
+        const assignments = updates.map((field, index) => `${field} = $${index + 1}`);
+        const result = await this.pool.query(`
+            UPDATE webhooks
+            SET ${assignments.join(', ')}, updated_at = NOW()
+            WHERE id = $${updates.length + 1}
+            RETURNING ${WEBHOOK_COLUMNS}
+        `, [...updates.map(field => fields[field]), parseId(id)]);
+
+        if (result.rows.length === 0) {
+            throw new ServiceError('Webhook not found', 404);
+        }
+        return result.rows[0];
+    }
+
+    async remove(id) {
+        const result = await this.pool.query(`DELETE FROM webhooks WHERE id = $1 RETURNING ${WEBHOOK_COLUMNS}`, [parseId(id)]);
+
+        if (result.rows.length === 0) {
+            throw new ServiceError('Webhook not found', 404);
+        }
+
+        console.log('🪝 Webhook removed:', result.rows[0].id, result.rows[0].url);
+        return result.rows[0];
+    }
+
+    // Latest deliveries of a webhook with every attempt, optionally by status
+    async listDeliveries(id, { status, limit = 50, offset = 0 } = {}) {
+        const webhookId = parseId(id);
+        if (status && !DELIVERY_STATUSES.includes(status)) {
+            throw new ServiceError(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+        }
+
+        await this.get(webhookId);
+
+        const result = await this.pool.query(`
+            SELECT d.id, d.event, d.sequence, d.status, d.attempts, d.next_attempt_at,
+                   d.last_status_code, d.last_error, d.created_at, d.delivered_at, d.payload,
+                   COALESCE((
+                       SELECT json_agg(json_build_object(
+                           'attempt', a.attempt,
+                           'attemptedAt', a.attempted_at,
+                           'statusCode', a.status_code,
+                           'error', a.error,
+                           'durationMs', a.duration_ms
+                       ) ORDER BY a.id)
+                       FROM webhook_delivery_attempts a
+                       WHERE a.delivery_id = d.id
+                   ), '[]') AS attempt_log
+            FROM webhook_deliveries d
+            WHERE d.webhook_id = $1 AND ($2::text IS NULL OR d.status = $2)
+            ORDER BY d.id DESC
+            LIMIT $3 OFFSET $4
+        `, [webhookId, status || null, Math.min(parseInt(limit) || 50, 500), parseInt(offset) || 0]);
+
+        return result.rows;
+    }
+
+    // Put a delivery (usually a dead letter) back in the queue with a fresh set of attempts
+    async retryDelivery(id, deliveryId) {
+        const result = await this.pool.query(`
+            UPDATE webhook_deliveries
+            SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+            WHERE webhook_id = $1 AND id = $2 AND status <> 'delivered'
+            RETURNING id, event, sequence, status
+        `, [parseId(id), parseId(deliveryId, 'delivery ID')]);
+
+        if (result.rows.length === 0) {
+            throw new ServiceError('No undelivered delivery with this ID', 404);
+        }
+        return result.rows[0];
+    }
+}
+
+module.exports = WebhookStore;
\ No newline at end of file
@@ -1,7 +1,64 @@
+const crypto = require('crypto');
 const { Server } = require('socket.io');
+const { diffRows, isNoopUpdate } = require('../utils/rowDiff');
+const { TABLES, normalizeTable, projectHistory } = require('../config/tables');
+const { socketAuthMiddleware, isAuthEnabled, getAnonymousRole } = require('./auth');
+const AccessControl = require('./accessControl');
+const { compileFilter, MATCH_ALL } = require('./filterExpression');
+const { isVisible } = require('./snapshot');
+const OutboundQueue = require('./outboundQueue');
+const DeliveryTracker = require('./deliveryTracker');
+const LatencyTracker = require('./latencyTracker');
+const { RawWebSocketServer } = require('./rawWebSocketServer');
+const { ServiceError } = require('./orderService');
+const { metrics } = require('./metrics');
+
+// Socket events that change orders, and the mutation each one makes
+const MUTATIONS = {
+    'order:create': 'create',
+    'order:update': 'update',
+    'order:delete': 'delete',
+    'order:bulkStatus': 'bulkStatus',
+    'order:transition': 'transition'
+};
+
+// Order columns that create and update write
+const WRITABLE_FIELDS = ['customer_name', 'product_name', 'status'];
 
 class WebSocketHandler {
-    constructor(httpServer) {
+    constructor(httpServer, options = {}) {
+        this.changeLog = options.changeLog || null;
+        this.snapshotReader = options.snapshotReader || null;
+        this.orderService = options.orderService || null;
+        this.sinks = options.sinks || null;
+        this.maxSyncRows = options.maxSyncRows || 10000;
+        this.batchThreshold = options.batchThreshold || 2;
+        this.accessControl = options.accessControl || new AccessControl();
+        this.nodeId = options.nodeId || `${process.pid}`;
+        this.clustered = Boolean(options.adapter);
+        this.isLeader = !this.clustered;
+        this.outbound = {
+            policy: options.outboundPolicy || 'coalesce',
+            maxQueue: options.outboundMaxQueue || 1000,
+            highWaterMark: options.outboundHighWaterMark || 64
+        };
+        this.outboundQueues = new Map(); // socket id -> OutboundQueue
+        this.deliveryTracker = options.deliveryTracker || new DeliveryTracker({
+            ackTimeout: options.deliveryAckTimeout,
+            maxClientsPerIdentity: options.deliveryMaxClients,
+            retentionMs: options.deliveryRetentionHours ? options.deliveryRetentionHours * 60 * 60 * 1000 : undefined
+        });
+        this.deliveryTracker.startCleanup();
+        this.latency = options.latencyTracker || new LatencyTracker({ sampleSize: options.latencySampleSize });
+        this.tables = new Map(
+            (options.tables || [normalizeTable('orders', TABLES.orders)]).map(table => [table.name, table])
+        );
+        // History table -> the table whose history it holds
+        this.historyTables = new Map(
+            Array.from(this.tables.values())
+                .filter(table => table.history)
+                .map(table => [table.history.table, table])
+        );
         this.io = new Server(httpServer, {
             cors: {
                 origin: process.env.NODE_ENV === 'production' ? false : "*",
@@ -10,25 +67,88 @@ class WebSocketHandler {
             transports: ['websocket', 'polling']
         });
 
+        // Share rooms and broadcasts with the other nodes of the cluster
+        if (options.adapter) {
+            this.io.adapter(options.adapter);
+        }
+
         this.connectedClients = new Map();
+        this.streamClients = new Map(); // id -> Server-Sent Events client
+        this.subscriptions = new Map(); // socket id -> Map of subscription id -> subscription
+        this.nextSubscriptionId = 1;
+        this.maxSubscriptionsPerClient = options.maxSubscriptionsPerClient || 50;
+        this.paused = null; // set while an administrator holds broadcasts back
+        this.maxHeldTransactions = options.maxHeldTransactions || 10000;
+        this.banner = null;
+        this.setupAuthentication();
         this.setupEventHandlers();
+
+        // Plain WebSocket endpoint sharing subscriptions and delivery with Socket.IO
+        this.rawServer = options.rawWebSocketPath === false ? null : new RawWebSocketServer(httpServer, this, {
+            path: options.rawWebSocketPath
+        });
+    }
+
+    // Validate the handshake token or API key before a client can connect
+    setupAuthentication() {
+        // Fail at startup on a mistyped role rather than with every anonymous client
+        const role = getAnonymousRole();
+
+        if (!isAuthEnabled()) {
+            console.warn(`⚠️  AUTH_SECRET and API_KEYS are not set, authentication is disabled and every client gets the ${role} role`);
+            if (this.accessControl.isAdmin({ role })) {
+                console.warn('⚠️  AUTH_ANONYMOUS_ROLE is an admin role, the admin namespace and the admin and webhook APIs are open to anyone');
+            }
+        }
+
+        this.io.use(socketAuthMiddleware);
     }
 
     setupEventHandlers() {
         this.io.on('connection', (socket) => {
+            socket.data.nodeId = this.nodeId;
+
             const clientInfo = {
                 id: socket.id,
                 connectedAt: new Date(),
                 address: socket.handshake.address,
-                userAgent: socket.handshake.headers['user-agent']
+                userAgent: socket.handshake.headers['user-agent'],
+                identity: socket.data.identity
             };
 
             this.connectedClients.set(socket.id, clientInfo);
+            this.outboundQueues.set(socket.id, new OutboundQueue(socket, {
+                ...this.outbound,
+                merge: (older, newer) => this.mergeUpdates(older, newer)
+            }));
+
+            // Opt-in acknowledged delivery, keyed by a client id that survives reconnects
+            const { clientId, delivery } = socket.handshake.auth || {};
+            let pendingDeliveries = null;
+            if (delivery === 'ack' && typeof clientId === 'string' && clientId) {
+                const { pending, restored } = this.deliveryTracker.attach(socket, clientId);
+                pendingDeliveries = pending;
+                clientInfo.durableClientId = clientId;
+
+                // Pick up the rooms and subscriptions the client had before it went away
+                if (restored) {
+                    restored.rooms.forEach(room => socket.join(room));
+                    if (restored.data.firehose !== undefined) {
+                        socket.data.firehose = restored.data.firehose;
+                    }
+                    if (this.subscriptions.has(restored.id)) {
+                        this.subscriptions.set(socket.id, this.subscriptions.get(restored.id));
+                        this.subscriptions.delete(restored.id);
+                    }
+                }
+            }
             
             console.log('🔗 Client connected:', {
                 id: socket.id,
                 totalClients: this.connectedClients.size,
-                address: clientInfo.address
+                address: clientInfo.address,
+                user: clientInfo.identity.id,
+                role: clientInfo.identity.role
             });
 
             // Send welcome message with current server stats
@@ -36,37 +156,59 @@ class WebSocketHandler {
                 message: 'Connected to real-time order updates',
                 clientId: socket.id,
                 connectedAt: clientInfo.connectedAt,
+                role: clientInfo.identity.role,
+                delivery: pendingDeliveries === null ? 'broadcast' : 'ack',
+                pendingDeliveries,
+                banner: this.banner,
+                broadcastsPaused: Boolean(this.paused),
                 totalClients: this.connectedClients.size
             });
 
-            // Handle client subscription to specific order updates
-            socket.on('subscribe', (data) => {
-                const { orderIds, statuses } = data;
-                
-                if (orderIds && Array.isArray(orderIds)) {
-                    orderIds.forEach(id => socket.join(`order_${id}`));
-                    console.log(`Client ${socket.id} subscribed to orders:`, orderIds);
-                }
-
-                if (statuses && Array.isArray(statuses)) {
-                    statuses.forEach(status => socket.join(`status_${status}`));
-                    console.log(`Client ${socket.id} subscribed to status updates:`, statuses);
-                }
+            // Handle client subscription to specific row updates
+            socket.on('subscribe', (data, callback) => {
+                const result = this.handleSubscribe(socket, data || {});
+                if (typeof callback === 'function') callback(result);
             });
 
             // Handle client unsubscription
-            socket.on('unsubscribe', (data) => {
-                const { orderIds, statuses } = data;
-                
-                if (orderIds && Array.isArray(orderIds)) {
-                    orderIds.forEach(id => socket.leave(`order_${id}`));
-                }
+            socket.on('unsubscribe', (data, callback) => {
+                const result = this.handleUnsubscribe(socket, data || {});
+                if (typeof callback === 'function') callback(result);
+            });
 
-                if (statuses && Array.isArray(statuses)) {
-                    statuses.forEach(status => socket.leave(`status_${status}`));
+            // Snapshot of the rows matching a filter plus a subscription streaming
+            // every later change, see syncSubscription()
+            socket.on('sync', async (data, callback) => {
+                const result = await this.syncSubscription(socket, data || {});
+                if (typeof callback === 'function') callback(result);
+            });
+
+            // List the client's filtered subscriptions
+            socket.on('subscriptions:list', (callback) => {
+                if (typeof callback === 'function') {
+                    callback({ success: true, subscriptions: this.listSubscriptions(socket) });
                 }
             });
 
+            // Order mutations, answered through the acknowledgement, see handleMutation()
+            Object.keys(MUTATIONS).forEach(event => {
+                socket.on(event, async (data, callback) => {
+                    const result = await this.handleMutation(socket, event, data || {});
+                    if (typeof callback === 'function') callback(result);
+                });
+            });
+
+            // Handle a reconnecting client asking for the events it missed
+            socket.on('resume', async (data, callback) => {
+                const result = await this.replayChanges(socket, data && data.lastSequence);
+                if (typeof callback === 'function') callback(result);
+            });
+
+            // A client rendered a change, see LatencyTracker
+            socket.on('latency:ack', (data) => {
+                if (data) this.latency.recordRender(data.trace, data.renderMs);
+            });
+
             // Handle ping for connection health check
             socket.on('ping', (callback) => {
                 if (callback) callback({ pong: Date.now() });
@@ -75,6 +217,16 @@ class WebSocketHandler {
             // Handle disconnection
             socket.on('disconnect', (reason) => {
                 this.connectedClients.delete(socket.id);
+                // Acknowledged-delivery clients keep their subscriptions while away
+                const standIn = this.deliveryTracker.detach(socket);
+                if (standIn && this.subscriptions.has(socket.id)) {
+                    this.subscriptions.set(standIn.id, this.subscriptions.get(socket.id));
+                }
+                this.subscriptions.delete(socket.id);
+                if (this.outboundQueues.has(socket.id)) {
+                    this.outboundQueues.get(socket.id).close();
+                    this.outboundQueues.delete(socket.id);
+                }
                 console.log('🔌 Client disconnected:', {
                     id: socket.id,
                     reason,
@@ -92,60 +244,1094 @@ class WebSocketHandler {
         this.io.engine.on('connection_error', (err) => {
             console.error('WebSocket connection error:', err);
         });
+
+        // Transactions fanned out by the leader node, delivered to our own sockets
+        this.io.on('cluster:transaction', (transaction) => {
+            this.handleTransaction(transaction);
+        });
+
+        // Domain events relayed from the outbox by the leader node
+        this.io.on('cluster:domainEvent', (event) => {
+            this.handleDomainEvent(event);
+        });
+
+        this.io.on('cluster:status', (callback) => {
+            callback(this.getNodeStatus());
+        });
+
+        // Admin actions taken on another node, see runAdminAction()
+        this.io.on('cluster:admin', (action, callback) => {
+            const result = this.applyAdminAction(action);
+            if (typeof callback === 'function') callback({ nodeId: this.nodeId, result });
+        });
+    }
+
+    // Apply a `subscribe` request from a client of any transport.
+    // `table` defaults to orders, `orderIds` is kept as an alias of `ids`.
+    handleSubscribe(client, data) {
+        const { table: tableName = 'orders', ids = data.orderIds, statuses, statusChanges, rowEvents, filter, firehose } = data;
+        const table = this.getTable(tableName);
+        let subscription = null;
+
+        // Filtered subscription, matching changes arrive as `subscription:<operation>`
+        if (filter !== undefined) {
+            try {
+                subscription = this.addSubscription(client, tableName, filter);
+            } catch (err) {
+                console.log(`Client ${client.id} sent an invalid subscription:`, err.message);
+                return { success: false, error: err.message };
+            }
+        }
+
+        // Clients that only want their filtered subscriptions can turn off
+        // the `<table>:<operation>` events sent to everyone
+        if (firehose !== undefined) {
+            client.data.firehose = Boolean(firehose);
+            console.log(`Client ${client.id} turned the firehose ${firehose ? 'on' : 'off'}`);
+        }
+        
+        if (ids && Array.isArray(ids)) {
+            ids.forEach(id => client.join(`${table.rowRoomPrefix}_${id}`));
+            console.log(`Client ${client.id} subscribed to ${table.name}:`, ids);
+        }
+
+        if (statuses && Array.isArray(statuses)) {
+            statuses.forEach(status => client.join(`${table.statusRoomPrefix}_${status}`));
+            console.log(`Client ${client.id} subscribed to ${table.name} status updates:`, statuses);
+        }
+
+        if (statusChanges) {
+            client.join(`${table.statusRoomPrefix}_changes`);
+            console.log(`Client ${client.id} subscribed to ${table.name} status transitions`);
+        }
+
+        // Receive individual events instead of one batch per transaction
+        if (rowEvents) {
+            client.join('row_events');
+            console.log(`Client ${client.id} opted in to per-row events`);
+        }
+
+        return { success: true, subscriptionId: subscription ? subscription.id : undefined };
     }
 
-    // Broadcast database changes to all connected clients
-    handleDatabaseChange(changeData) {
-        const { operation, table, data, timestamp } = changeData;
+    // Apply an `unsubscribe` request from a client of any transport
+    handleUnsubscribe(client, data) {
+        const { table: tableName = 'orders', ids = data.orderIds, statuses, statusChanges, rowEvents, subscriptionId } = data;
+        const table = this.getTable(tableName);
+        let removed = false;
+
+        if (subscriptionId) {
+            removed = this.removeSubscription(client, subscriptionId);
+        }
         
-        // Create the message to broadcast
+        if (ids && Array.isArray(ids)) {
+            ids.forEach(id => client.leave(`${table.rowRoomPrefix}_${id}`));
+        }
+
+        if (statuses && Array.isArray(statuses)) {
+            statuses.forEach(status => client.leave(`${table.statusRoomPrefix}_${status}`));
+        }
+
+        if (statusChanges) {
+            client.leave(`${table.statusRoomPrefix}_changes`);
+        }
+
+        if (rowEvents) {
+            client.leave('row_events');
+        }
+
+        return { success: true, removed };
+    }
+
+    // Change orders with the same validation and persistence as the REST API.
+    // Returns { success, data, requestId } with the resulting row(s) as the client's
+    // role sees them, or { success: false, status, error, requestId }. The change
+    // events caused by the request carry the same `requestId`, which the client may
+    // choose itself, so it can recognise the echo of its own change.
+    async handleMutation(client, event, data) {
+        const mutation = MUTATIONS[event];
+        const requestId = typeof data.requestId === 'string' && data.requestId && data.requestId.length <= 100
+            ? data.requestId
+            : crypto.randomUUID();
+        const identity = client.data.identity;
+
+        if (!this.orderService) {
+            return { success: false, status: 503, error: 'Mutations are not available', requestId };
+        }
+
+        // Status changes are updates as far as permissions go
+        const permission = mutation === 'bulkStatus' || mutation === 'transition' ? 'update' : mutation;
+        if (!this.accessControl.canMutate(identity, 'orders', permission)) {
+            return { success: false, status: 403, error: `Not allowed to ${permission} orders`, requestId };
+        }
+
+        // A role may only write the fields it can see
+        if (mutation === 'create' || mutation === 'update') {
+            const written = WRITABLE_FIELDS.filter(field => data[field] !== undefined && data[field] !== null);
+            const hidden = this.accessControl.hiddenFields(identity, 'orders', written);
+
+            if (hidden.length > 0) {
+                return { success: false, status: 403, error: `Not allowed to change ${hidden.join(', ')}`, fields: hidden, requestId };
+            }
+        }
+
+        try {
+            const options = { requestId };
+            let result;
+
+            switch (mutation) {
+            case 'create':
+                result = await this.orderService.createOrder(data, options);
+                break;
+            case 'update':
+                result = await this.orderService.updateOrder(data.id, data, options);
+                break;
+            case 'delete':
+                result = await this.orderService.deleteOrder(data.id, options);
+                break;
+            case 'bulkStatus':
+                result = await this.orderService.bulkUpdateStatus(data.order_ids, data.status, { ...options, reason: data.reason });
+                break;
+            case 'transition':
+                result = (await this.orderService.transitionOrder(data.id, data, options)).order;
+                break;
+            }
+
+            const { fields } = this.accessControl.getRule(identity, 'orders');
+            const project = (row) => this.accessControl.projectRow(row, fields);
+
+            return {
+                success: true,
+                data: Array.isArray(result) ? result.map(project) : project(result),
+                requestId
+            };
+        } catch (err) {
+            if (err instanceof ServiceError) {
+                return { success: false, status: err.status, error: err.message, ...err.details, requestId };
+            }
+
+            console.error(`Error handling ${event} from client`, client.id, ':', err);
+            return { success: false, status: 500, error: `Failed to ${permission} orders`, message: err.message, requestId };
+        }
+    }
+
+    // Get the configuration of a tracked table (defaults for unknown tables)
+    getTable(name) {
+        return this.tables.get(name) || normalizeTable(name);
+    }
+
+    // Register a filtered subscription for a client, matching every row without a
+    // filter. Throws when the table is not tracked, the filter doesn't parse or it
+    // references fields the client can't see.
+    addSubscription(socket, tableName, filterSource) {
+        if (!this.tables.has(tableName)) {
+            throw new Error(`Table ${tableName} is not tracked`);
+        }
+
+        const table = this.tables.get(tableName);
+        const rule = this.accessControl.getRule(socket.data.identity, tableName);
+        if (!rule) {
+            throw new Error(`Not allowed to subscribe to ${tableName}`);
+        }
+
+        const filter = filterSource ? compileFilter(filterSource) : MATCH_ALL;
+        const unknown = filter.fields.filter(field =>
+            (table.columns !== '*' && !table.columns.includes(field)) ||
+            (rule.fields !== '*' && !rule.fields.includes(field))
+        );
+        if (unknown.length > 0) {
+            throw new Error(`Unknown fields in filter: ${unknown.join(', ')}`);
+        }
+
+        if (!this.subscriptions.has(socket.id)) {
+            this.subscriptions.set(socket.id, new Map());
+        }
+
+        const subscriptions = this.subscriptions.get(socket.id);
+        if (subscriptions.size >= this.maxSubscriptionsPerClient) {
+            throw new Error(`At most ${this.maxSubscriptionsPerClient} subscriptions per client`);
+        }
+
+        const subscription = {
+            id: `sub_${this.nextSubscriptionId++}`,
+            table: tableName,
+            filter,
+            createdAt: new Date(),
+            matched: 0
+        };
+
+        subscriptions.set(subscription.id, subscription);
+        console.log(`Client ${socket.id} subscribed to ${tableName}${filterSource ? ` where ${filterSource}` : ''} (${subscription.id})`);
+
+        return subscription;
+    }
+
+    removeSubscription(socket, subscriptionId) {
+        const subscriptions = this.subscriptions.get(socket.id);
+        const removed = Boolean(subscriptions) && subscriptions.delete(subscriptionId);
+
+        if (removed) {
+            console.log(`Client ${socket.id} cancelled subscription ${subscriptionId}`);
+        }
+
+        return removed;
+    }
+
+    listSubscriptions(socket) {
+        const subscriptions = this.subscriptions.get(socket.id);
+        if (!subscriptions) return [];
+
+        return Array.from(subscriptions.values()).map(subscription => ({
+            id: subscription.id,
+            table: subscription.table,
+            filter: subscription.filter.source,
+            createdAt: subscription.createdAt,
+            matched: subscription.matched
+        }));
+    }
+
+    // Whether a subscription's filter matched the row before and after a change.
+    // Updates without the previous row (or filters using changed(), which only
+    // describe the change itself) are treated as keeping their membership.
+    subscriptionMembership(subscription, message) {
+        const { filter } = subscription;
+        const after = message.operation !== 'delete' && filter.matches(message.data, message.changedFields);
+        let before = after;
+
+        if (message.operation === 'insert') {
+            before = false;
+        } else if (message.operation === 'delete') {
+            before = filter.matches(message.data);
+        } else if (message.previous && !filter.usesChanged) {
+            before = filter.matches(message.previous);
+        }
+
+        return { before, after };
+    }
+
+    // A Socket.IO socket, offline stand-in or client of another transport by id
+    getRecipient(id) {
+        return this.io.sockets.sockets.get(id) ||
+            this.deliveryTracker.getOfflineRecipient(id) ||
+            this.streamClients.get(id) ||
+            null;
+    }
+
+    // Send a change to every client with a matching filtered subscription, once per subscription
+    deliverToSubscriptions(message) {
+        for (const socketId of this.subscriptions.keys()) {
+            const socket = this.getRecipient(socketId);
+            if (!socket) {
+                // An acknowledged-delivery client that never came back
+                this.subscriptions.delete(socketId);
+                continue;
+            }
+
+            this.emitToSubscriptions(socket, message);
+        }
+    }
+
+    // Matching changes arrive as `subscription:<operation>`; rows starting or
+    // stopping to match also get `subscription:entered` / `subscription:left`
+    emitToSubscriptions(socket, message) {
+        const subscriptions = this.subscriptions.get(socket.id);
+        if (!subscriptions) return;
+
+        for (const subscription of subscriptions.values()) {
+            if (subscription.table !== message.table) continue;
+
+            // A sync holds changes back until its snapshot has been read
+            if (subscription.buffer) {
+                subscription.buffer.push(message);
+                continue;
+            }
+
+            // Changes the synced snapshot already contains
+            if (subscription.snapshot && isVisible(subscription.snapshot, message.txid)) continue;
+
+            this.emitToSubscription(socket, subscription, message);
+        }
+    }
+
+    emitToSubscription(socket, subscription, message) {
+        const { before, after } = this.subscriptionMembership(subscription, message);
+        const events = [];
+
+        if (message.operation === 'delete' ? before : after) events.push(message.operation);
+        if (after && !before) events.push('entered');
+        if (before && !after) events.push('left');
+        if (events.length === 0) return;
+
+        const view = this.accessControl.filterMessage(socket.data.identity, message);
+        if (!view) return;
+
+        subscription.matched++;
+        events.forEach(event => {
+            this.sendToSocket(socket, `subscription:${event}`, { ...view, subscriptionId: subscription.id });
+        });
+    }
+
+    // The socket, or offline stand-in, currently holding a subscription
+    getSubscriptionHolder(subscription) {
+        for (const [socketId, subscriptions] of this.subscriptions) {
+            if (subscriptions.get(subscription.id) === subscription) {
+                return this.getRecipient(socketId);
+            }
+        }
+        return null;
+    }
+
+    // Answer a `sync` request with the rows matching a filter, read in one consistent
+    // snapshot, and keep the subscription open for the changes after it. The
+    // subscription starts buffering before the snapshot is read; once the rows are
+    // sent, buffered and later changes are delivered unless the snapshot already
+    // contains them. Clients apply the rows first and then every
+    // `subscription:<event>` carrying the returned subscription id.
+    async syncSubscription(socket, { table: tableName = 'orders', filter, limit }) {
+        if (!this.snapshotReader) {
+            return { success: false, error: 'Sync is not available' };
+        }
+
+        if (limit !== undefined && limit !== null && !Number.isFinite(limit)) {
+            return { success: false, error: 'limit must be a number' };
+        }
+
+        let subscription;
+        let where;
+        try {
+            subscription = this.addSubscription(socket, tableName, filter);
+            if (subscription.filter.usesChanged) {
+                throw new Error('changed() describes a change and can\'t be used to sync rows');
+            }
+            where = this.snapshotCondition(socket.data.identity, tableName, subscription.filter);
+        } catch (err) {
+            if (subscription) this.removeSubscription(socket, subscription.id);
+            console.log(`Client ${socket.id} sent an invalid sync request:`, err.message);
+            return { success: false, error: err.message };
+        }
+
+        subscription.buffer = [];
+        // Between 1 and maxSyncRows, which is also the default
+        const rowLimit = limit === undefined || limit === null
+            ? this.maxSyncRows
+            : Math.max(1, Math.min(Math.floor(limit), this.maxSyncRows));
+
+        try {
+            const table = this.tables.get(tableName);
+            const snapshot = await this.snapshotReader.read(table, where, rowLimit);
+            const rule = this.accessControl.getRule(socket.data.identity, tableName);
+
+            subscription.snapshot = snapshot.snapshot;
+
+            // Deliver what arrived while the snapshot was read once the answer below is sent
+            setImmediate(() => {
+                const buffered = subscription.buffer;
+                subscription.buffer = null;
+
+                const holder = this.getSubscriptionHolder(subscription);
+                if (!holder) return;
+
+                buffered
+                    .filter(message => !isVisible(subscription.snapshot, message.txid))
+                    .forEach(message => this.emitToSubscription(holder, subscription, message));
+            });
+
+            console.log(`🔄 Client ${socket.id} synced ${snapshot.rows.length} ${tableName} rows (${subscription.id})`);
+
+            return {
+                success: true,
+                subscriptionId: subscription.id,
+                table: tableName,
+                rows: snapshot.rows.map(row => this.accessControl.projectRow(row, rule.fields)),
+                truncated: snapshot.truncated,
+                position: {
+                    sequence: snapshot.sequence,
+                    snapshot: snapshot.snapshot.text
+                }
+            };
+        } catch (err) {
+            console.error('Error reading snapshot for client', socket.id, ':', err);
+            const holder = this.getSubscriptionHolder(subscription);
+            if (holder) this.removeSubscription(holder, subscription.id);
+            return { success: false, error: err.message };
+        }
+    }
+
+    // SQL condition selecting the rows of a table a filter matches, within the
+    // identity's scope
+    snapshotCondition(identity, tableName, filter) {
+        const rule = this.accessControl.getRule(identity, tableName);
+
+        return (escapeIdentifier) => {
+            const condition = filter.toSql(escapeIdentifier);
+            if (!rule.scope) return condition;
+
+            const expected = identity[rule.scope.claim];
+            if (expected === undefined || expected === null) {
+                return { text: 'FALSE', values: [] };
+            }
+
+            return {
+                text: `${condition.text} AND ${escapeIdentifier(rule.scope.column)}::text = $${condition.values.length + 1}`,
+                values: [...condition.values, String(expected)]
+            };
+        };
+    }
+
+    // Build the message sent to clients from a change payload
+    buildMessage(changeData) {
+        const { operation, table, sequence, txid, requestId, data, old, timestamp, triggeredAt, committedAt, receivedAt } = changeData;
+
         const message = {
             type: 'database_change',
             operation: operation.toLowerCase(),
             table,
+            sequence,
+            txid: txid === undefined ? null : txid,
             data,
             timestamp: new Date(timestamp * 1000),
+            serverTime: new Date(),
+            // When the change passed each step so far, in epoch milliseconds. Clients
+            // echo it back in `latency:ack` once they rendered the change.
+            trace: {
+                triggeredAt: triggeredAt ? Math.round(triggeredAt * 1000) : null,
+                committedAt: committedAt ? Math.round(committedAt * 1000) : null,
+                receivedAt: receivedAt || null,
+                emittedAt: Date.now()
+            }
+        };
+
+        // Changes made through the API or socket mutations name the request that made them
+        if (requestId) {
+            message.requestId = requestId;
+        }
+
+        // Changes read from a replication slot are positioned by their commit LSN
+        if (changeData.lsn) {
+            message.lsn = changeData.lsn;
+        }
+
+        // Updates carry the previous row and the list of fields that changed
+        if (message.operation === 'update' && old) {
+            message.previous = old;
+            message.changedFields = diffRows(old, data);
+        }
+
+        return message;
+    }
+
+    // Attach the history entries among `messages` to the change of their row as
+    // `history` and drop them from the list. A transaction changing a row twice
+    // writes two entries; they are paired with its changes in order.
+    attachHistory(messages) {
+        const changes = messages.filter(message => !this.historyTables.has(message.table));
+        if (changes.length === messages.length) return messages;
+
+        messages
+            .filter(message => this.historyTables.has(message.table))
+            .forEach(entry => {
+                const table = this.historyTables.get(entry.table);
+                const rowId = String(entry.data[table.history.foreignKey]);
+                const change = changes.find(message =>
+                    message.table === table.name &&
+                    message.txid === entry.txid &&
+                    !message.history &&
+                    String(message.data[table.primaryKey]) === rowId
+                );
+
+                if (change) change.history = projectHistory(table, entry.data);
+            });
+
+        return changes;
+    }
+
+    // An UPDATE that only touched bookkeeping fields such as updated_at
+    isNoopChange(message) {
+        return message.operation === 'update' && isNoopUpdate(message.changedFields);
+    }
+
+    // Deliver a transaction from the change source on every node. Only the leader
+    // consumes the change source; the other nodes get the transaction from it.
+    publishTransaction(transaction) {
+        this.handleTransaction(transaction);
+
+        if (this.clustered) {
+            this.io.serverSideEmit('cluster:transaction', transaction);
+        }
+    }
+
+    // Broadcast the changes of one committed transaction. Transactions with several
+    // changes to a table are sent as a single `<table>:batch` event; clients that
+    // subscribed with `rowEvents: true` get the individual events instead.
+    handleTransaction(transaction) {
+        if (this.paused) {
+            this.holdTransaction(transaction);
+            return;
+        }
+
+        const stopTimer = metrics.broadcastDuration.startTimer();
+        const messages = this.attachHistory(transaction.events
+            .map(event => this.buildMessage({ committedAt: transaction.committedAt, ...event })))
+            .filter(message => !this.isNoopChange(message));
+        messages.forEach(message => this.latency.recordEmit(message.trace));
+        this.publishToSinks(messages);
+
+        const byTable = new Map();
+        messages.forEach(message => {
+            if (!byTable.has(message.table)) byTable.set(message.table, []);
+            byTable.get(message.table).push(message);
+        });
+
+        byTable.forEach((tableMessages, tableName) => {
+            if (tableMessages.length < this.batchThreshold) {
+                tableMessages.forEach(message => this.broadcastChange(message));
+                return;
+            }
+
+            console.log(`📦 Broadcasting ${tableMessages.length} ${tableName} changes from transaction ${transaction.txid} as a batch`);
+
+            const batch = {
+                type: 'database_batch',
+                table: tableName,
+                txid: transaction.txid,
+                commitOrder: transaction.commitOrder,
+                count: tableMessages.length,
+                changes: tableMessages,
+                serverTime: new Date()
+            };
+
+            this.deliver(`${tableName}:batch`, batch, {
+                except: 'row_events',
+                firehose: true,
+                filter: (identity, message) => this.accessControl.filterBatch(identity, message)
+            });
+
+            tableMessages.forEach(message => this.broadcastChange(message, { batched: true }));
+        });
+
+        stopTimer();
+    }
+
+    // Hand changes to the event sinks. Only the leader does, so each change is
+    // written out once per cluster rather than once per node.
+    publishToSinks(messages) {
+        if (this.sinks && this.isLeader) {
+            this.sinks.publish(messages);
+        }
+    }
+
+    // Deliver a domain event from the outbox relay on every node
+    publishDomainEvent(event) {
+        this.handleDomainEvent(event);
+
+        if (this.clustered) {
+            this.io.serverSideEmit('cluster:domainEvent', event);
+        }
+    }
+
+    // Send a domain event (order.created, order.shipped, ...) under its own name to
+    // every client whose role can see it. Unlike row changes they aren't part of
+    // the firehose, so clients that turned it off still get them. Delivery is
+    // at-least-once, `outboxId` is what clients drop repeats by.
+    handleDomainEvent(event) {
+        const message = {
+            type: 'domain_event',
+            ...(event.details || {}),
+            id: event.id,
+            outboxId: event.id,
+            event: event.type,
+            table: event.table,
+            rowId: event.rowId,
+            data: event.data,
+            occurredAt: new Date(event.occurredAt * 1000),
             serverTime: new Date()
         };
 
+        if (event.requestId) {
+            message.requestId = event.requestId;
+        }
+
+        console.log(`📣 Publishing domain event #${event.id} ${event.type}${event.rowId ? ` for ${event.table} #${event.rowId}` : ''}`);
+
+        this.deliver(event.type, message, {
+            filter: (identity, domainEvent) => this.accessControl.filterEvent(identity, domainEvent)
+        });
+    }
+
+    // Send a change to every client (or only to row event subscribers when the
+    // change was already delivered as part of a batch) and to targeted rooms
+    broadcastChange(message, options = {}) {
+        const table = this.getTable(message.table);
+        const { operation, data } = message;
+        const rowId = data[table.primaryKey];
+
         console.log('📡 Broadcasting change to clients:', {
-            operation: message.operation,
-            table: message.table,
-            orderId: data.id,
+            operation,
+            table: table.name,
+            sequence: message.sequence,
+            rowId,
+            changedFields: message.changedFields,
             connectedClients: this.connectedClients.size
         });
 
         // Broadcast to all clients
-        this.io.emit(`orders:${operation.toLowerCase()}`, message);
+        if (options.batched) {
+            this.deliver(`${table.name}:${operation}`, message, { room: 'row_events', firehose: true });
+        } else {
+            this.deliver(`${table.name}:${operation}`, message, { firehose: true });
+        }
 
         // Send targeted updates to subscribers
-        if (data.id) {
-            this.io.to(`order_${data.id}`).emit(`order_${data.id}:${operation.toLowerCase()}`, message);
+        if (rowId !== undefined && rowId !== null) {
+            const room = `${table.rowRoomPrefix}_${rowId}`;
+            this.deliver(`${room}:${operation}`, message, { room });
         }
 
-        if (data.status) {
-            this.io.to(`status_${data.status}`).emit(`status_${data.status}:${operation.toLowerCase()}`, message);
+        const status = table.statusColumn ? data[table.statusColumn] : null;
+
+        if (status) {
+            const room = `${table.statusRoomPrefix}_${status}`;
+            this.deliver(`${room}:${operation}`, message, { room });
         }
 
+        this.deliverStatusMembership(table, message);
+
+        // Notify subscribers that only care about status transitions. Roles that
+        // can't see the status column never get here, their view has no status change.
+        if (table.statusColumn && message.changedFields && message.changedFields.includes(table.statusColumn)) {
+            this.deliver(`${table.name}:status_changed`, message, {
+                room: `${table.statusRoomPrefix}_changes`,
+                filter: (identity, change) => {
+                    const view = this.accessControl.filterMessage(identity, change);
+                    if (!view || !view.changedFields.includes(table.statusColumn)) return null;
+
+                    return {
+                        ...view,
+                        from: change.previous[table.statusColumn],
+                        to: status
+                    };
+                }
+            });
+        }
+
+        this.deliverToSubscriptions(message);
+
         // Track broadcast metrics
         this.logBroadcastMetrics(message);
     }
 
-    logBroadcastMetrics(message) {
-        const metrics = {
-            timestamp: new Date(),
-            operation: message.operation,
-            table: message.table,
-            clientCount: this.connectedClients.size,
-            orderId: message.data.id
+    // Status a change moved a row from and to: inserts have no `from`, deletes no `to`.
+    // Returns null when the status didn't change or the previous row is unknown.
+    statusTransition(table, message) {
+        if (!table.statusColumn) return null;
+
+        const { operation, data, previous } = message;
+        let from = null;
+        let to = null;
+
+        if (operation === 'insert') {
+            to = data[table.statusColumn];
+        } else if (operation === 'delete') {
+            from = data[table.statusColumn];
+        } else if (previous) {
+            from = previous[table.statusColumn];
+            to = data[table.statusColumn];
+        }
+
+        if (from === to || (from === null && to === null)) return null;
+
+        return { from, to };
+    }
+
+    // Tell status room members when a row joins or leaves their status, so they
+    // can keep an accurate set: `<room>:left` to the old room, `<room>:entered` to the new one
+    deliverStatusMembership(table, message) {
+        const transition = this.statusTransition(table, message);
+        if (!transition) return;
+
+        // Roles that can't see the status column don't learn about membership either
+        const filter = (identity, change) => {
+            const view = this.accessControl.filterMessage(identity, change);
+            if (!view || !(table.statusColumn in view.data)) return null;
+
+            return { ...view, ...transition };
         };
 
-        // In production, you might want to send this to a monitoring service
+        if (transition.from !== null && transition.from !== undefined) {
+            const room = `${table.statusRoomPrefix}_${transition.from}`;
+            this.deliver(`${room}:left`, message, { room, filter });
+        }
+
+        if (transition.to !== null && transition.to !== undefined) {
+            const room = `${table.statusRoomPrefix}_${transition.to}`;
+            this.deliver(`${room}:entered`, message, { room, filter });
+        }
+    }
+
+    // Send an event to each connected socket (optionally only those in `room`,
+    // or not in `except`) in the form its role is allowed to see. Every socket
+    // can get a different projection, so this can't use a room broadcast.
+    // Firehose events skip clients that turned the firehose off.
+    deliver(event, message, options = {}) {
+        const filter = options.filter || ((identity, change) => this.accessControl.filterMessage(identity, change));
+
+        const recipients = [
+            ...this.io.sockets.sockets.values(),
+            ...this.deliveryTracker.getOfflineRecipients(),
+            ...this.streamClients.values()
+        ];
+
+        for (const socket of recipients) {
+            if (options.room && !socket.rooms.has(options.room)) continue;
+            if (options.except && socket.rooms.has(options.except)) continue;
+            if (options.firehose && socket.data.firehose === false) continue;
+
+            const view = filter(socket.data.identity, message);
+            if (view) {
+                this.sendToSocket(socket, event, view);
+            }
+        }
+    }
+
+    // Send a change event through the socket's outbound queue, so a slow client
+    // can't make the server buffer without limit. Acknowledged-delivery clients
+    // are paced by their acknowledgements instead.
+    sendToSocket(socket, event, payload) {
+        const stream = this.streamClients.get(socket.id);
+        if (stream) {
+            stream.send(event, payload);
+            return;
+        }
+
+        if (this.deliveryTracker.isTracked(socket)) {
+            this.deliveryTracker.send(socket, event, payload);
+            return;
+        }
+
+        const queue = this.outboundQueues.get(socket.id);
+        if (!queue) return;
+
+        queue.push(event, payload, this.coalesceKey(event, payload));
+    }
+
+    // Updates of the same row sent as the same event can be merged while queued
+    coalesceKey(event, payload) {
+        if (payload.type !== 'database_change' || payload.operation !== 'update' || !event.endsWith(':update')) {
+            return null;
+        }
+
+        const table = this.getTable(payload.table);
+        const key = payload.subscriptionId ? `${event}:${payload.subscriptionId}` : event;
+        return `${key}:${payload.data[table.primaryKey]}`;
+    }
+
+    // Merge two queued updates of a row into one going from the first previous row to the latest row
+    mergeUpdates(older, newer) {
+        if (!older.previous || !newer.previous) return newer;
+
+        return {
+            ...newer,
+            previous: older.previous,
+            changedFields: diffRows(older.previous, newer.data),
+            coalesced: (older.coalesced || 1) + 1
+        };
+    }
+
+    // The change source lost changes it can't replay, tell clients to reload their data
+    handleResyncRequired(info, options = {}) {
+        console.log('⚠️  Change stream gap, asking clients to resync:', info);
+
+        this.notifyClients('resync_required', {
+            reason: info.reason,
+            disconnectedAt: info.disconnectedAt,
+            reconnectedAt: info.reconnectedAt,
+            serverTime: new Date()
+        }, options);
+    }
+
+    // Send a server notice to every client of every transport. Clients of other
+    // transports only exist on this node; with `local` the Socket.IO emit stays on
+    // this node too, for notices every node sends to its own clients.
+    notifyClients(event, payload, options = {}) {
+        (options.local ? this.io.local : this.io).emit(event, payload);
+        this.streamClients.forEach(client => client.send(event, payload));
+    }
+
+    // Register a client of another transport as a recipient of change events. It
+    // looks like a socket to deliver() (`id`, `rooms`, `data.identity`) and
+    // receives events through `send(event, payload)`.
+    addStreamClient(client) {
+        this.streamClients.set(client.id, client);
+        console.log(`🔗 Stream client connected: ${client.id} (${client.data.identity.id})`);
+    }
+
+    removeStreamClient(client) {
+        this.subscriptions.delete(client.id);
+        if (this.streamClients.delete(client.id)) {
+            console.log(`🔌 Stream client disconnected: ${client.id}`);
+        }
+    }
+
+    // Send a client every change after its last seen sequence number, in order.
+    // Replayed events use the same event names as live ones, so clients should
+    // ignore any sequence number they have already applied.
+    async replayChanges(socket, lastSequence) {
+        if (!this.changeLog) {
+            return { status: 'unavailable', message: 'No change log to resume from, reload the full list' };
+        }
+
+        try {
+            const result = await this.changeLog.getChangesSince(lastSequence);
+
+            if (result.status !== 'ok') {
+                console.log(`⏪ Client ${socket.id} is too far behind to resume from #${lastSequence}`);
+                return {
+                    status: 'too_old',
+                    oldestSequence: result.oldest,
+                    latestSequence: result.latest
+                };
+            }
+
+            const identity = socket.data.identity;
+            const messages = this.attachHistory(result.changes
+                .map(change => ({ ...this.buildMessage(change), replayed: true })))
+                .filter(message => !this.isNoopChange(message));
+
+            let replayed = 0;
+            messages.forEach(message => {
+                const view = this.accessControl.filterMessage(identity, message);
+                if (!view) return;
+
+                if (socket.data.firehose !== false) {
+                    this.sendToSocket(socket, `${message.table}:${message.operation}`, view);
+                }
+                this.emitToSubscriptions(socket, message);
+                replayed++;
+            });
+
+            console.log(`⏪ Replayed ${replayed} changes to client ${socket.id} from #${lastSequence}`);
+
+            return {
+                status: 'ok',
+                replayed,
+                latestSequence: result.latest
+            };
+        } catch (err) {
+            console.error('Error replaying changes for client', socket.id, ':', err);
+            return { status: 'error', message: err.message };
+        }
+    }
+
+    // Count the broadcast for GET /metrics, and log it in development
+    logBroadcastMetrics(message) {
+        metrics.broadcasts.inc({ table: message.table, operation: message.operation });
+
         if (process.env.NODE_ENV === 'development') {
-            console.log('📊 Broadcast metrics:', metrics);
+            const table = this.getTable(message.table);
+            console.log('📊 Broadcast metrics:', {
+                timestamp: new Date(),
+                operation: message.operation,
+                table: message.table,
+                clientCount: this.connectedClients.size,
+                rowId: message.data[table.primaryKey]
+            });
+        }
+    }
+
+    // Hold a transaction while broadcasts are paused. Past maxHeldTransactions the
+    // held ones are dropped and clients are asked to resync on resume instead.
+    holdTransaction(transaction) {
+        const { paused } = this;
+        if (paused.overflowed) return;
+
+        paused.held.push(transaction);
+        if (paused.held.length > this.maxHeldTransactions) {
+            console.warn(`⏸️  More than ${this.maxHeldTransactions} transactions held while paused, clients will resync on resume`);
+            paused.held = [];
+            paused.overflowed = true;
         }
     }
 
+    // Stop delivering changes, e.g. during database maintenance. Transactions
+    // committed meanwhile are held and delivered in order on resume.
+    pauseBroadcasts(reason) {
+        if (this.paused) return false;
+
+        this.paused = { since: new Date(), reason: reason || null, held: [], overflowed: false };
+        console.log(`⏸️  Broadcasts paused${reason ? `: ${reason}` : ''}`);
+
+        this.notifyClients('broadcasts_paused', {
+            reason: this.paused.reason,
+            since: this.paused.since,
+            serverTime: new Date()
+        }, { local: true });
+        return true;
+    }
+
+    resumeBroadcasts() {
+        if (!this.paused) return false;
+
+        const { since, held, overflowed } = this.paused;
+        this.paused = null;
+        console.log(`▶️  Broadcasts resumed after ${Date.now() - since.getTime()}ms, ${overflowed ? 'asking clients to resync' : `delivering ${held.length} held transactions`}`);
+
+        this.notifyClients('broadcasts_resumed', {
+            pausedAt: since,
+            held: held.length,
+            resync: overflowed,
+            serverTime: new Date()
+        }, { local: true });
+
+        if (overflowed) {
+            this.handleResyncRequired({ reason: 'broadcasts_paused', disconnectedAt: since, reconnectedAt: new Date() }, { local: true });
+        } else {
+            held.forEach(transaction => this.handleTransaction(transaction));
+        }
+        return true;
+    }
+
+    // Show a maintenance banner on every client, or remove it with null
+    setBanner(banner) {
+        this.banner = banner;
+        this.notifyClients('maintenance_banner', { banner, serverTime: new Date() }, { local: true });
+        return true;
+    }
+
+    // Disconnect a client of this node, telling it why first. Socket.IO clients
+    // don't reconnect on their own after a server-side disconnect.
+    disconnectClient(clientId, reason) {
+        const notice = { reason: reason || null, serverTime: new Date() };
+
+        const socket = this.io.sockets.sockets.get(clientId);
+        if (socket) {
+            socket.emit('disconnected_by_admin', notice);
+            socket.disconnect(true);
+            return 'ok';
+        }
+
+        const stream = this.streamClients.get(clientId);
+        if (stream) {
+            stream.send('disconnected_by_admin', notice);
+            stream.close(4000, 'Disconnected by an administrator');
+            return 'ok';
+        }
+
+        return 'not_found';
+    }
+
+    // Limit a client of this node to `rate` events per second, or lift the limit
+    // with null. Only Socket.IO clients with broadcast delivery have an outbound
+    // queue to throttle; the others report 'unsupported'.
+    throttleClient(clientId, rate) {
+        const socket = this.io.sockets.sockets.get(clientId);
+        if (!socket) {
+            return this.streamClients.has(clientId) ? 'unsupported' : 'not_found';
+        }
+
+        const queue = this.outboundQueues.get(clientId);
+        if (!queue || this.deliveryTracker.isTracked(socket)) return 'unsupported';
+
+        queue.throttle(rate);
+        console.log(rate ? `🐌 Client ${clientId} throttled to ${rate} events/s` : `🐇 Client ${clientId} no longer throttled`);
+        return 'ok';
+    }
+
+    // Every client of this node with its subscriptions and how far behind it is
+    describeClients() {
+        const sockets = Array.from(this.connectedClients.values()).map(client => {
+            const socket = this.io.sockets.sockets.get(client.id);
+            const acknowledged = Boolean(socket && this.deliveryTracker.isTracked(socket));
+            const queue = this.outboundQueues.get(client.id);
+
+            return {
+                id: client.id,
+                nodeId: this.nodeId,
+                transport: 'socket.io',
+                user: client.identity.id,
+                role: client.identity.role,
+                address: client.address,
+                userAgent: client.userAgent,
+                connectedAt: client.connectedAt,
+                durableClientId: client.durableClientId || null,
+                rooms: socket ? Array.from(socket.rooms).filter(room => room !== client.id) : [],
+                subscriptions: this.listSubscriptions(client),
+                delivery: acknowledged ? 'ack' : 'broadcast',
+                lag: acknowledged ? this.deliveryTracker.getSocketStats(socket) : (queue ? queue.getStats() : null)
+            };
+        });
+
+        const streams = Array.from(this.streamClients.values()).map(client => ({
+            id: client.id,
+            nodeId: this.nodeId,
+            transport: client.transport,
+            user: client.data.identity.id,
+            role: client.data.identity.role,
+            connectedAt: client.connectedAt,
+            rooms: Array.from(client.rooms),
+            subscriptions: this.listSubscriptions(client),
+            delivery: 'broadcast',
+            lag: { buffered: client.buffered }
+        }));
+
+        return [...sockets, ...streams];
+    }
+
+    // Broadcast pause and banner state of this node
+    getAdminStatus() {
+        return {
+            nodeId: this.nodeId,
+            isLeader: this.isLeader,
+            connectedClients: this.connectedClients.size,
+            streamClients: this.streamClients.size,
+            paused: this.paused ? {
+                since: this.paused.since,
+                reason: this.paused.reason,
+                held: this.paused.held.length,
+                overflowed: this.paused.overflowed
+            } : null,
+            banner: this.banner
+        };
+    }
+
+    // Carry out an admin action on this node
+    applyAdminAction(action) {
+        switch (action.type) {
+        case 'status':
+            return this.getAdminStatus();
+        case 'clients':
+            return this.describeClients();
+        case 'disconnect':
+            return this.disconnectClient(action.clientId, action.reason);
+        case 'throttle':
+            return this.throttleClient(action.clientId, action.rate);
+        case 'pause':
+            return this.pauseBroadcasts(action.reason);
+        case 'resume':
+            return this.resumeBroadcasts();
+        case 'banner':
+            return this.setBanner(action.banner);
+        default:
+            return null;
+        }
+    }
+
+    // Carry out an admin action on every node of the cluster, since each node only
+    // knows its own clients. Returns [{ nodeId, result }] for the nodes that answered.
+    async runAdminAction(action) {
+        const results = [{ nodeId: this.nodeId, result: this.applyAdminAction(action) }];
+
+        if (this.clustered) {
+            try {
+                results.push(...await this.io.serverSideEmitWithAck('cluster:admin', action));
+            } catch (err) {
+                console.error(`Error running admin action ${action.type} on the cluster:`, err.message);
+                if (err.responses) results.push(...err.responses);
+            }
+        }
+
+        return results;
+    }
+
     // Get server statistics
     getStats() {
         const clients = Array.from(this.connectedClients.values());
@@ -156,13 +1342,75 @@ class WebSocketHandler {
                 id: client.id,
                 connectedAt: client.connectedAt,
                 duration: Date.now() - client.connectedAt.getTime(),
-                address: client.address
+                address: client.address,
+                user: client.identity.id,
+                role: client.identity.role,
+                subscriptions: this.subscriptions.has(client.id) ? this.subscriptions.get(client.id).size : 0,
+                outbound: this.outboundQueues.has(client.id) ? this.outboundQueues.get(client.id).getStats() : null
+            })),
+            outbound: this.outbound,
+            laggingClients: clients
+                .filter(client => this.outboundQueues.has(client.id) && this.outboundQueues.get(client.id).laggingSince)
+                .map(client => ({
+                    id: client.id,
+                    user: client.identity.id,
+                    ...this.outboundQueues.get(client.id).getStats()
+                })),
+            acknowledgedDelivery: this.deliveryTracker.getStats(),
+            sinks: this.sinks ? this.sinks.getStats() : [],
+            latency: this.latency.getStats(),
+            streamClients: Array.from(this.streamClients.values()).map(client => ({
+                id: client.id,
+                transport: client.transport,
+                user: client.data.identity.id,
+                connectedAt: client.connectedAt
             })),
             rooms: Object.keys(this.io.sockets.adapter.rooms),
             serverStartTime: process.uptime()
         };
     }
 
+    // Status of this node, as reported to the rest of the cluster
+    getNodeStatus() {
+        let subscriptions = 0;
+        this.subscriptions.forEach(clientSubscriptions => {
+            subscriptions += clientSubscriptions.size;
+        });
+
+        return {
+            nodeId: this.nodeId,
+            isLeader: this.isLeader,
+            connectedClients: this.connectedClients.size,
+            subscriptions
+        };
+    }
+
+    // Statistics across every node of the cluster
+    async getClusterStats() {
+        const nodes = [this.getNodeStatus()];
+
+        if (this.clustered) {
+            try {
+                const remote = await this.io.serverSideEmitWithAck('cluster:status');
+                nodes.push(...remote);
+            } catch (err) {
+                // Some nodes did not answer in time, report the ones that did
+                console.error('Error collecting cluster status:', err.message);
+                if (err.responses) nodes.push(...err.responses);
+            }
+        }
+
+        const leader = nodes.find(node => node.isLeader);
+
+        return {
+            clustered: this.clustered,
+            nodeId: this.nodeId,
+            leader: leader ? leader.nodeId : null,
+            totalClients: nodes.reduce((total, node) => total + node.connectedClients, 0),
+            nodes
+        };
+    }
+
     // Send a message to a specific client
     sendToClient(clientId, event, data) {
         this.io.to(clientId).emit(event, data);
@@ -176,9 +1424,14 @@ class WebSocketHandler {
     // Graceful shutdown
     async shutdown() {
         console.log('🔌 Shutting down WebSocket server...');
+        this.deliveryTracker.stopCleanup();
+        this.streamClients.forEach(client => client.close());
+        if (this.rawServer) {
+            this.rawServer.close();
+        }
         
-        // Notify all clients about server shutdown
-        this.io.emit('server_shutdown', {
+        // Notify this node's clients about server shutdown
+        this.io.local.emit('server_shutdown', {
             message: 'Server is shutting down',
             timestamp: new Date()
         });
@@ -0,0 +1,31 @@
+// Fields that change on every write and don't make an update meaningful on their own
+const BOOKKEEPING_FIELDS = ['updated_at'];
+
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// List the fields whose value differs between two versions of a row
+function diffRows(before, after) {
+    if (!before || !after) {
+        return null;
+    }
+
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    return Array.from(fields).filter(field => !isEqual(before[field], after[field]));
+}
+
+// True when nothing but bookkeeping fields changed
+function isNoopUpdate(changedFields) {
+    if (!changedFields) {
+        return false;
+    }
+
+    return changedFields.every(field => BOOKKEEPING_FIELDS.includes(field));
+}
+
+module.exports = {
+    diffRows,
+    isNoopUpdate
+};
\ No newline at end of file